@@ -6,6 +6,8 @@ module.exports = {
     autorestart: true,
     watch: false,
     max_memory_restart: '1G',
+    // Leave room for the bot to drain in-flight awards (SHUTDOWN_TIMEOUT_MS)
+    kill_timeout: 45000,
     env: {
       NODE_ENV: 'production'
     },
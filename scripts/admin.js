@@ -0,0 +1,578 @@
+import 'dotenv/config';
+import fs from 'fs';
+import path from 'path';
+import readline from 'readline/promises';
+import { parseArgs } from 'util';
+import {
+  createPublicClient,
+  createWalletClient,
+  http,
+  getAddress,
+  isAddress,
+  parseAbi,
+  formatEther
+} from 'viem';
+import { privateKeyToAccount } from 'viem/accounts';
+import { base } from 'viem/chains';
+
+// ---------------------- CONFIG ----------------------
+const BASE_MAINNET_RPC_URL = process.env.BASE_MAINNET_RPC_URL;
+const PRIVATE_KEY = process.env.PRIVATE_KEY;
+const DISPENSER_ADDRESS = process.env.DISPENSER_ADDRESS;
+const TRACKED_TOKEN_ADDRESS = process.env.TRACKED_TOKEN_ADDRESS;
+const NFT_CONTRACT_ADDRESS = process.env.NFT_CONTRACT_ADDRESS;
+const REQUIRED_UPVOTES = process.env.REQUIRED_UPVOTES;
+const CAMPAIGNS_FILE = process.env.CAMPAIGNS_FILE;
+const RESCUE_RECIPIENT_ADDRESS = process.env.RESCUE_RECIPIENT_ADDRESS;
+const RESCUE_TOKEN_ID = process.env.RESCUE_TOKEN_ID;
+const BACKFILL_CHUNK_SIZE = process.env.BACKFILL_CHUNK_SIZE ? BigInt(process.env.BACKFILL_CHUNK_SIZE) : BigInt(2000);
+const LOG_DIR = './logs';
+const DISPENSER_LOG_FILE = `${LOG_DIR}/dispenser-actions.jsonl`;
+const DEFAULT_CAMPAIGN_ID = 'default';
+
+const DISPENSER_ABI = parseAbi([
+  'function owner() external view returns (address)',
+  'function nftContract() external view returns (address)',
+  'function trackedToken() external view returns (address)',
+  'function upvotesRequired() external view returns (uint256)',
+  'function getQueuedNFTs() external view returns (uint256[])',
+  'function userUpvotes(address) external view returns (uint256)',
+  'function setUpvotesRequired(uint256 newThreshold) external',
+  'function setTrackedToken(address newToken) external',
+  'function setNftContract(address newNftContract) external',
+  'function rescueNFT(address to, uint256 tokenId) external',
+  'function rescueAllNFTs(address to) external',
+  'event NFTClaimed(address indexed user, uint256 tokenId)',
+  'event UpvotesAdded(address indexed user, uint256 count)'
+]);
+
+const ERC721_ABI = parseAbi([
+  'function ownerOf(uint256 tokenId) external view returns (address)',
+  'function safeTransferFrom(address from, address to, uint256 tokenId) external'
+]);
+
+const USAGE = `Usage: npm run admin -- <command> [args] [options]
+
+Commands:
+  status                      Dispenser settings, owner and signer, compared with .env
+  inventory                   Token IDs queued in the dispenser
+  user <address>              On-chain upvotes credited to a user (--from-block lists their awards)
+  set-threshold <upvotes>     Change upvotesRequired
+  set-token <address>         Change the tracked token
+  set-nft-contract <address>  Change the NFT collection (refused while NFTs are queued, unless --force)
+  queue <tokenId...>          Send NFTs from the signer to the dispenser
+  rescue [tokenId]            Send one queued NFT to --to (default RESCUE_TOKEN_ID)
+  rescue-all                  Send every queued NFT to --to
+
+Options:
+  --dispenser <address>       Dispenser to manage (default DISPENSER_ADDRESS)
+  --campaign <id>             Use the dispenser of a campaign in CAMPAIGNS_FILE
+  --to <address>              Rescue recipient (default RESCUE_RECIPIENT_ADDRESS)
+  --from-block <block>        First block to search for a user's awards
+  --dry-run                   Simulate a change and print it without sending anything
+  --force                     Allow set-nft-contract with NFTs still queued
+  -y, --yes                   Skip the confirmation prompt
+  --json                      Print status, inventory and user output as JSON
+  -h, --help                  Show this help`;
+
+// ---------------------- ARGUMENTS ----------------------
+let options;
+let positionals;
+try {
+  ({ values: options, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      dispenser: { type: 'string' },
+      campaign: { type: 'string' },
+      to: { type: 'string' },
+      'from-block': { type: 'string' },
+      'dry-run': { type: 'boolean', default: false },
+      force: { type: 'boolean', default: false },
+      yes: { type: 'boolean', short: 'y', default: false },
+      json: { type: 'boolean', default: false },
+      help: { type: 'boolean', short: 'h', default: false }
+    }
+  }));
+} catch (err) {
+  console.error(`Error: ${err.message}\n`);
+  console.error(USAGE);
+  process.exit(1);
+}
+
+const [commandName, ...args] = positionals;
+
+// ---------------------- CLIENTS ----------------------
+if (!BASE_MAINNET_RPC_URL && commandName && !options.help) {
+  console.error('Error: BASE_MAINNET_RPC_URL is required in .env file');
+  process.exit(1);
+}
+
+const publicClient = createPublicClient({
+  chain: base,
+  transport: http(BASE_MAINNET_RPC_URL)
+});
+
+// Read-only commands and dry runs work without a key
+const account = PRIVATE_KEY ? privateKeyToAccount(`0x${PRIVATE_KEY}`) : null;
+const walletClient = account && createWalletClient({
+  account,
+  chain: base,
+  transport: http(BASE_MAINNET_RPC_URL)
+});
+
+// ---------------------- HELPERS ----------------------
+function fail(message) {
+  const err = new Error(message);
+  err.userError = true;
+  throw err;
+}
+
+function parseAddress(value, name) {
+  if (!value || !isAddress(value, { strict: false })) {
+    fail(`${name} must be an address (got ${value === undefined ? 'nothing' : `'${value}'`})`);
+  }
+  return getAddress(value);
+}
+
+function parseUint(value, name) {
+  if (!/^\d+$/.test(value ?? '')) {
+    fail(`${name} must be a whole number (got ${value === undefined ? 'nothing' : `'${value}'`})`);
+  }
+  return BigInt(value);
+}
+
+// The dispenser comes from --dispenser, a campaign in CAMPAIGNS_FILE or
+// DISPENSER_ADDRESS. Changes are written to the same dispenser log the
+// listener uses for that campaign.
+function resolveTarget() {
+  if (options.campaign) {
+    if (!CAMPAIGNS_FILE) fail('--campaign needs CAMPAIGNS_FILE to be set');
+    const campaigns = JSON.parse(fs.readFileSync(CAMPAIGNS_FILE, 'utf8'));
+    const index = campaigns.findIndex((definition, i) => (definition.id || `campaign-${i + 1}`) === options.campaign);
+    if (index === -1) fail(`No campaign "${options.campaign}" in ${CAMPAIGNS_FILE}`);
+    const definition = campaigns[index];
+    return {
+      campaign: options.campaign,
+      dispenser: parseAddress(definition.dispenser, `Dispenser of campaign ${options.campaign}`),
+      trackedToken: definition.trackedToken,
+      requiredUpvotes: definition.requiredUpvotes,
+      logFile: definition.logFile || `${LOG_DIR}/dispenser-actions-${options.campaign}.jsonl`
+    };
+  }
+
+  const dispenser = options.dispenser || DISPENSER_ADDRESS;
+  if (!dispenser) fail('DISPENSER_ADDRESS is required in .env file (or pass --dispenser or --campaign)');
+  return {
+    campaign: DEFAULT_CAMPAIGN_ID,
+    dispenser: parseAddress(dispenser, 'Dispenser'),
+    trackedToken: TRACKED_TOKEN_ADDRESS,
+    requiredUpvotes: REQUIRED_UPVOTES,
+    logFile: DISPENSER_LOG_FILE
+  };
+}
+
+function readDispenser(target, functionName, args = []) {
+  return publicClient.readContract({ address: target.dispenser, abi: DISPENSER_ABI, functionName, args });
+}
+
+function logAdminAction(target, action, data) {
+  const entry = {
+    timestamp: new Date().toISOString(),
+    action,
+    campaign: target.campaign,
+    ...data
+  };
+
+  try {
+    fs.mkdirSync(path.dirname(target.logFile), { recursive: true });
+    fs.appendFileSync(target.logFile, JSON.stringify(entry) + '\n');
+  } catch (err) {
+    console.error('Error writing to dispenser log:', err.message);
+  }
+}
+
+function printJson(value) {
+  console.log(JSON.stringify(value, (key, v) => typeof v === 'bigint' ? v.toString() : v, 2));
+}
+
+async function confirm(lines) {
+  console.log('');
+  lines.forEach(line => console.log(`  ${line}`));
+  console.log('');
+  if (options.yes) return true;
+
+  if (!process.stdin.isTTY) {
+    console.error('Error: no terminal to confirm on, pass --yes to go ahead');
+    return false;
+  }
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+  const answer = await rl.question('Type "yes" to continue: ');
+  rl.close();
+  return answer.trim().toLowerCase() === 'yes';
+}
+
+// Only the dispenser owner may call its admin functions
+async function requireOwner(target) {
+  const owner = await readDispenser(target, 'owner');
+  if (account && account.address !== owner) {
+    fail(`Signer ${account.address} is not the dispenser owner ${owner}`);
+  }
+  return owner;
+}
+
+// Simulate first, then ask, send and wait for the receipt. A dry run stops
+// after the simulation; without a key it simulates as simulateAs.
+async function sendTransaction(target, { action, call, simulateAs, summary, details }) {
+  if (!account && !options['dry-run']) fail('PRIVATE_KEY is required in .env file');
+
+  const { request } = await publicClient.simulateContract({
+    ...call,
+    account: account || simulateAs
+  });
+
+  if (options['dry-run']) {
+    console.log('');
+    summary.forEach(line => console.log(`  ${line}`));
+    console.log('\n[DRY_RUN] Simulation succeeded, nothing was sent');
+    return null;
+  }
+
+  if (!await confirm(summary)) {
+    console.log('Aborted, nothing was sent');
+    process.exitCode = 1;
+    return null;
+  }
+
+  const hash = await walletClient.writeContract(request);
+  console.log('Transaction sent:', hash);
+  const receipt = await publicClient.waitForTransactionReceipt({ hash });
+  if (receipt.status !== 'success') {
+    logAdminAction(target, `${action}_failed`, { ...details, tx: hash });
+    fail(`Transaction ${hash} reverted`);
+  }
+
+  logAdminAction(target, action, { ...details, tx: hash, signer: account.address });
+  console.log('BaseScan:', `https://basescan.org/tx/${hash}`);
+  return receipt;
+}
+
+// ---------------------- COMMANDS ----------------------
+async function showStatus(target) {
+  const [owner, nftContract, trackedToken, upvotesRequired, queued] = await Promise.all([
+    readDispenser(target, 'owner'),
+    readDispenser(target, 'nftContract'),
+    readDispenser(target, 'trackedToken'),
+    readDispenser(target, 'upvotesRequired'),
+    readDispenser(target, 'getQueuedNFTs')
+  ]);
+  const signerBalance = account ? await publicClient.getBalance({ address: account.address }) : null;
+
+  // Compare with what the listener is configured with
+  const mismatches = [];
+  if (target.trackedToken && isAddress(target.trackedToken, { strict: false }) && getAddress(target.trackedToken) !== trackedToken) {
+    mismatches.push(`trackedToken is ${trackedToken}, the listener tracks ${getAddress(target.trackedToken)}`);
+  }
+  if (target.requiredUpvotes && BigInt(target.requiredUpvotes) !== upvotesRequired) {
+    mismatches.push(`upvotesRequired is ${upvotesRequired}, the listener expects ${target.requiredUpvotes}`);
+  }
+  if (!options.campaign && NFT_CONTRACT_ADDRESS && isAddress(NFT_CONTRACT_ADDRESS, { strict: false }) && getAddress(NFT_CONTRACT_ADDRESS) !== nftContract) {
+    mismatches.push(`nftContract is ${nftContract}, .env has ${getAddress(NFT_CONTRACT_ADDRESS)}`);
+  }
+  if (account && account.address !== owner) {
+    mismatches.push(`signer ${account.address} is not the owner, the listener cannot award`);
+  }
+
+  if (options.json) {
+    printJson({
+      campaign: target.campaign,
+      dispenser: target.dispenser,
+      owner,
+      nftContract,
+      trackedToken,
+      upvotesRequired,
+      queuedNFTs: queued.length,
+      signer: account?.address ?? null,
+      signerBalanceEth: signerBalance === null ? null : formatEther(signerBalance),
+      mismatches
+    });
+    return;
+  }
+
+  console.log('Dispenser:', target.dispenser, `(campaign ${target.campaign})`);
+  console.log('  Owner:', owner);
+  console.log('  NFT contract:', nftContract);
+  console.log('  Tracked token:', trackedToken);
+  console.log('  Upvotes required:', upvotesRequired.toString());
+  console.log('  Queued NFTs:', queued.length);
+  if (account) {
+    console.log('Signer:', account.address, `(${formatEther(signerBalance)} ETH)`);
+  }
+  if (mismatches.length > 0) {
+    console.log('\n⚠️  Mismatches:');
+    mismatches.forEach(mismatch => console.log(`  - ${mismatch}`));
+  }
+}
+
+async function showInventory(target) {
+  const queued = await readDispenser(target, 'getQueuedNFTs');
+  if (options.json) {
+    printJson({ campaign: target.campaign, dispenser: target.dispenser, queuedNFTs: queued });
+    return;
+  }
+  console.log('Checking queued NFTs for dispenser:', target.dispenser);
+  // Awards pop from the end of the queue
+  console.log('🧊 Queued NFTs (next award last):', queued.map(n => n.toString()));
+  console.log('📊 Total queued:', queued.length);
+}
+
+async function findUserAwards(target, user, fromBlock) {
+  const head = await publicClient.getBlockNumber();
+  const events = [];
+  for (let start = fromBlock; start <= head; start += BACKFILL_CHUNK_SIZE) {
+    const end = start + BACKFILL_CHUNK_SIZE - 1n < head ? start + BACKFILL_CHUNK_SIZE - 1n : head;
+    const logs = await publicClient.getLogs({
+      address: target.dispenser,
+      events: DISPENSER_ABI.filter(item => item.type === 'event'),
+      args: { user },
+      fromBlock: start,
+      toBlock: end
+    });
+    for (const log of logs) {
+      events.push({
+        event: log.eventName,
+        count: log.args.count,
+        tokenId: log.args.tokenId,
+        blockNumber: log.blockNumber,
+        transactionHash: log.transactionHash
+      });
+    }
+  }
+  return events;
+}
+
+async function showUser(target, [userArg]) {
+  const user = parseAddress(userArg, 'User');
+  const [credited, upvotesRequired] = await Promise.all([
+    readDispenser(target, 'userUpvotes', [user]),
+    readDispenser(target, 'upvotesRequired')
+  ]);
+  const remaining = credited >= upvotesRequired ? 0n : upvotesRequired - credited;
+  const history = options['from-block'] !== undefined
+    ? await findUserAwards(target, user, parseUint(options['from-block'], '--from-block'))
+    : null;
+
+  if (options.json) {
+    printJson({ campaign: target.campaign, user, credited, upvotesRequired, remaining, history });
+    return;
+  }
+
+  console.log('User:', user);
+  console.log(`  Credited upvotes: ${credited} of ${upvotesRequired} (${remaining} more for the next NFT)`);
+  if (history) {
+    const claims = history.filter(event => event.event === 'NFTClaimed');
+    console.log(`  History since block ${options['from-block']}: ${history.length - claims.length} credit(s), ${claims.length} NFT(s)`);
+    for (const event of history) {
+      const what = event.event === 'NFTClaimed' ? `NFT #${event.tokenId}` : `${event.count} upvotes credited`;
+      console.log(`    Block ${event.blockNumber}: ${what} (${event.transactionHash})`);
+    }
+  }
+}
+
+async function setThreshold(target, [value]) {
+  const newThreshold = parseUint(value, 'Upvotes');
+  if (newThreshold === 0n) fail('Upvotes must be at least 1');
+  const owner = await requireOwner(target);
+  const current = await readDispenser(target, 'upvotesRequired');
+  if (current === newThreshold) {
+    console.log(`upvotesRequired is already ${current}, nothing to do`);
+    return;
+  }
+
+  const summary = [
+    `Dispenser ${target.dispenser}: upvotesRequired ${current} -> ${newThreshold}`,
+    'Every award after this uses the new threshold.'
+  ];
+  if (target.requiredUpvotes && BigInt(target.requiredUpvotes) !== newThreshold) {
+    summary.push(`⚠️  The listener is configured for ${target.requiredUpvotes}, update REQUIRED_UPVOTES or the campaign to match.`);
+  }
+
+  const receipt = await sendTransaction(target, {
+    action: 'admin_threshold_changed',
+    call: { address: target.dispenser, abi: DISPENSER_ABI, functionName: 'setUpvotesRequired', args: [newThreshold] },
+    simulateAs: owner,
+    summary,
+    details: { previous: current.toString(), upvotesRequired: newThreshold.toString() }
+  });
+  if (receipt) console.log(`✅ upvotesRequired set to ${newThreshold}`);
+}
+
+async function setTrackedToken(target, [value]) {
+  const newToken = parseAddress(value, 'Token');
+  const owner = await requireOwner(target);
+  const current = await readDispenser(target, 'trackedToken');
+  if (current === newToken) {
+    console.log(`trackedToken is already ${current}, nothing to do`);
+    return;
+  }
+
+  const summary = [
+    `Dispenser ${target.dispenser}: trackedToken ${current} -> ${newToken}`,
+    '⚠️  The listener only forwards upvotes for the token it is configured with, update TRACKED_TOKEN_ADDRESS or the campaign to match.'
+  ];
+
+  const receipt = await sendTransaction(target, {
+    action: 'admin_tracked_token_changed',
+    call: { address: target.dispenser, abi: DISPENSER_ABI, functionName: 'setTrackedToken', args: [newToken] },
+    simulateAs: owner,
+    summary,
+    details: { previous: current, trackedToken: newToken }
+  });
+  if (receipt) console.log(`✅ trackedToken set to ${newToken}`);
+}
+
+async function setNftContract(target, [value]) {
+  const newNftContract = parseAddress(value, 'NFT contract');
+  const owner = await requireOwner(target);
+  const [current, queued] = await Promise.all([
+    readDispenser(target, 'nftContract'),
+    readDispenser(target, 'getQueuedNFTs')
+  ]);
+  if (current === newNftContract) {
+    console.log(`nftContract is already ${current}, nothing to do`);
+    return;
+  }
+
+  // Queued token IDs belong to the old collection. After the switch the
+  // dispenser would try to award and rescue them from the new one.
+  if (queued.length > 0 && !options.force) {
+    fail(`${queued.length} NFT(s) from ${current} are still queued. Rescue them first (rescue-all), or pass --force`);
+  }
+
+  const summary = [`Dispenser ${target.dispenser}: nftContract ${current} -> ${newNftContract}`];
+  if (queued.length > 0) {
+    summary.push(`⚠️  ${queued.length} queued NFT(s) from the old collection will no longer be awardable or rescuable!`);
+  }
+
+  const receipt = await sendTransaction(target, {
+    action: 'admin_nft_contract_changed',
+    call: { address: target.dispenser, abi: DISPENSER_ABI, functionName: 'setNftContract', args: [newNftContract] },
+    simulateAs: owner,
+    summary,
+    details: { previous: current, nftContract: newNftContract, queuedNFTs: queued.length }
+  });
+  if (receipt) console.log(`✅ nftContract set to ${newNftContract}`);
+}
+
+// The dispenser queues whatever its NFT contract sends it, so a plain
+// safeTransferFrom is enough. queueNFT() is avoided on purpose: the transfer
+// it makes calls onERC721Received, which queues the token a second time.
+async function queueNFTs(target, tokenArgs) {
+  if (tokenArgs.length === 0) fail('Pass at least one token ID to queue');
+  const tokenIds = tokenArgs.map(value => parseUint(value, 'Token ID'));
+  const nftContract = await readDispenser(target, 'nftContract');
+  const holders = await Promise.all(tokenIds.map(tokenId =>
+    publicClient.readContract({ address: nftContract, abi: ERC721_ABI, functionName: 'ownerOf', args: [tokenId] })
+  ));
+
+  const from = account?.address ?? holders[0];
+  const notHeld = tokenIds.filter((tokenId, i) => holders[i] !== from);
+  if (notHeld.length > 0) {
+    fail(`${from} does not hold token(s) ${notHeld.join(', ')} of ${nftContract}`);
+  }
+
+  for (const tokenId of tokenIds) {
+    const receipt = await sendTransaction(target, {
+      action: 'admin_nft_queued',
+      call: { address: nftContract, abi: ERC721_ABI, functionName: 'safeTransferFrom', args: [from, target.dispenser, tokenId] },
+      simulateAs: from,
+      summary: [`Send NFT #${tokenId} of ${nftContract} from ${from} to dispenser ${target.dispenser}`],
+      details: { tokenId: tokenId.toString(), nftContract }
+    });
+    if (receipt) console.log(`✅ Queued token ID ${tokenId}`);
+    else if (!options['dry-run']) return;
+  }
+}
+
+async function rescueNFT(target, [value]) {
+  const tokenId = parseUint(value ?? RESCUE_TOKEN_ID, 'Token ID (argument or RESCUE_TOKEN_ID)');
+  const to = parseAddress(options.to || RESCUE_RECIPIENT_ADDRESS, 'Recipient (--to or RESCUE_RECIPIENT_ADDRESS)');
+  const owner = await requireOwner(target);
+  const queued = await readDispenser(target, 'getQueuedNFTs');
+
+  const summary = [`Rescue NFT #${tokenId} from dispenser ${target.dispenser} to ${to}`];
+  // rescueNFT() does not remove the token from the queue. Awards pop from the
+  // end, so a rescued last token makes every award revert until rescue-all.
+  const position = queued.indexOf(tokenId);
+  if (position === -1) {
+    summary.push('⚠️  This token is not in the dispenser queue.');
+  } else {
+    summary.push(`⚠️  The token stays in the queue (${position + 1} of ${queued.length}) and any award that reaches it will revert.`);
+    summary.push('   Use rescue-all to empty the queue cleanly.');
+  }
+
+  const receipt = await sendTransaction(target, {
+    action: 'admin_nft_rescued',
+    call: { address: target.dispenser, abi: DISPENSER_ABI, functionName: 'rescueNFT', args: [to, tokenId] },
+    simulateAs: owner,
+    summary,
+    details: { tokenId: tokenId.toString(), to }
+  });
+  if (receipt) console.log(`✅ Rescued token ID ${tokenId} to address ${to}`);
+}
+
+async function rescueAllNFTs(target) {
+  const to = parseAddress(options.to || RESCUE_RECIPIENT_ADDRESS, 'Recipient (--to or RESCUE_RECIPIENT_ADDRESS)');
+  const owner = await requireOwner(target);
+  const queued = await readDispenser(target, 'getQueuedNFTs');
+  if (queued.length === 0) {
+    console.log('The dispenser queue is empty, nothing to rescue');
+    return;
+  }
+
+  const receipt = await sendTransaction(target, {
+    action: 'admin_all_nfts_rescued',
+    call: { address: target.dispenser, abi: DISPENSER_ABI, functionName: 'rescueAllNFTs', args: [to] },
+    simulateAs: owner,
+    summary: [
+      `Rescue all ${queued.length} queued NFT(s) from dispenser ${target.dispenser} to ${to}`,
+      '⚠️  The listener cannot award anything until NFTs are queued again.'
+    ],
+    details: { count: queued.length, to }
+  });
+  if (receipt) console.log(`✅ Rescued ${queued.length} NFT(s) to ${to}`);
+}
+
+const COMMANDS = {
+  status: showStatus,
+  inventory: showInventory,
+  user: showUser,
+  'set-threshold': setThreshold,
+  'set-token': setTrackedToken,
+  'set-nft-contract': setNftContract,
+  queue: queueNFTs,
+  rescue: rescueNFT,
+  'rescue-all': rescueAllNFTs
+};
+
+// ---------------------- MAIN ----------------------
+async function main() {
+  if (options.help || !commandName) {
+    console.log(USAGE);
+    return;
+  }
+
+  const command = COMMANDS[commandName];
+  if (!command) {
+    console.error(`Error: unknown command '${commandName}'\n`);
+    console.error(USAGE);
+    process.exitCode = 1;
+    return;
+  }
+
+  await command(resolveTarget(), args);
+}
+
+main().catch((err) => {
+  console.error(`❌ ${err.userError ? err.message : (err.shortMessage || err.message)}`);
+  process.exitCode = 1;
+});
@@ -1,15 +1,32 @@
 import 'dotenv/config';
 import fs from 'fs';
+import http from 'http';
+import crypto from 'crypto';
 import {
   createPublicClient,
   createWalletClient,
   http as viemHttp,
   webSocket,
+  fallback,
   getAddress,
+  isAddress,
+  BaseError,
+  ContractFunctionRevertedError,
+  InsufficientFundsError,
+  NonceTooLowError,
+  NonceTooHighError,
   zeroAddress,
-  encodeAbiParameters,
   parseAbiItem,
   parseAbi,
+  parseEventLogs,
+  formatLog,
+  encodeEventTopics,
+  hexToBigInt,
+  keccak256,
+  formatEther,
+  parseEther,
+  formatGwei,
+  parseGwei,
   toHex,
   encodePacked,
   padHex
@@ -19,43 +36,142 @@ import { base } from 'viem/chains';
 
 // ---------------------- CONFIG ----------------------
 const BASE_MAINNET_RPC_URL = process.env.BASE_MAINNET_RPC_URL;
+const BASE_FALLBACK_RPC_URLS = (process.env.BASE_FALLBACK_RPC_URLS || '').split(',').map(url => url.trim()).filter(Boolean);
+const BASE_WS_URLS = (process.env.BASE_WS_URLS || '').split(',').map(url => url.trim()).filter(Boolean);
+const RPC_RANK_INTERVAL_MS = process.env.RPC_RANK_INTERVAL_MS ? parseInt(process.env.RPC_RANK_INTERVAL_MS) : 30000;
+const WS_RETRY_AFTER_MS = process.env.WS_RETRY_AFTER_MS ? parseInt(process.env.WS_RETRY_AFTER_MS) : 5 * 60 * 1000;
+const WS_SUBSCRIBE_TIMEOUT_MS = 10000;
+const SHUTDOWN_TIMEOUT_MS = process.env.SHUTDOWN_TIMEOUT_MS ? parseInt(process.env.SHUTDOWN_TIMEOUT_MS) : 30000;
+const WATCH_POLL_MS = process.env.WATCH_POLL_MS ? parseInt(process.env.WATCH_POLL_MS) : 2000;
+const WATCHER_MAX_LAG_BLOCKS = process.env.WATCHER_MAX_LAG_BLOCKS ? BigInt(process.env.WATCHER_MAX_LAG_BLOCKS) : BigInt(30);
+const WATCHER_STALL_MS = process.env.WATCHER_STALL_MS ? parseInt(process.env.WATCHER_STALL_MS) : 2 * 60 * 1000;
 const PRIVATE_KEY = process.env.PRIVATE_KEY;
 const DISPENSER_ADDRESS = process.env.DISPENSER_ADDRESS;
 const TRACKED_TOKEN_ADDRESS = process.env.TRACKED_TOKEN_ADDRESS;
+const NFT_CONTRACT_ADDRESS = process.env.NFT_CONTRACT_ADDRESS;
 const UPVOTE_APP_ADDRESS = process.env.UPVOTE_APP_ADDRESS;
+const CAMPAIGNS_FILE = process.env.CAMPAIGNS_FILE;
 const REQUIRED_UPVOTES = process.env.REQUIRED_UPVOTES ? BigInt(process.env.REQUIRED_UPVOTES) : BigInt(420);
+const REWARD_MODE = process.env.REWARD_MODE || 'exact'; // 'exact', 'atLeast', 'multiples', 'tiers' or 'cumulative'
+const REWARD_TIERS = process.env.REWARD_TIERS; // e.g. "420-839:1,840-1679:2,1680:4"
+const MAX_AWARDS_PER_EVENT = process.env.MAX_AWARDS_PER_EVENT ? parseInt(process.env.MAX_AWARDS_PER_EVENT) : 10;
+const CUMULATIVE_BATCH_MIN = process.env.CUMULATIVE_BATCH_MIN ? BigInt(process.env.CUMULATIVE_BATCH_MIN) : BigInt(1);
+const CUMULATIVE_BATCH_MAX_AGE_MS = process.env.CUMULATIVE_BATCH_MAX_AGE_MS ? parseInt(process.env.CUMULATIVE_BATCH_MAX_AGE_MS) : 60 * 60 * 1000;
+const LEDGER_RECONCILE_MS = process.env.LEDGER_RECONCILE_MS ? parseInt(process.env.LEDGER_RECONCILE_MS) : 10 * 60 * 1000;
 const POLL_MS = process.env.POLL_MS ? parseInt(process.env.POLL_MS) : 15000;
+const BACKFILL_CHUNK_SIZE = process.env.BACKFILL_CHUNK_SIZE ? BigInt(process.env.BACKFILL_CHUNK_SIZE) : BigInt(2000);
+const CONFIRMATIONS = process.env.CONFIRMATIONS ? BigInt(process.env.CONFIRMATIONS) : BigInt(3);
+const AWARD_MAX_ATTEMPTS = process.env.AWARD_MAX_ATTEMPTS ? parseInt(process.env.AWARD_MAX_ATTEMPTS) : 5;
+const AWARD_RETRY_BASE_MS = process.env.AWARD_RETRY_BASE_MS ? parseInt(process.env.AWARD_RETRY_BASE_MS) : 30000;
+const AWARD_RETRY_MAX_MS = 30 * 60 * 1000; // never wait more than 30 minutes between retries
+const MAX_IN_FLIGHT_AWARDS = process.env.MAX_IN_FLIGHT_AWARDS ? parseInt(process.env.MAX_IN_FLIGHT_AWARDS) : 4;
+const MAX_FEE_PER_GAS = parseGwei(process.env.MAX_FEE_PER_GAS_GWEI || '1');
+const PRIORITY_FEE_PER_GAS = parseGwei(process.env.PRIORITY_FEE_GWEI || '0.001');
+const REPLACE_AFTER_MS = process.env.REPLACE_AFTER_MS ? parseInt(process.env.REPLACE_AFTER_MS) : 120000;
+const FEE_BUMP_PERCENT = process.env.FEE_BUMP_PERCENT ? parseInt(process.env.FEE_BUMP_PERCENT) : 15;
+const MIN_REPLACEMENT_BUMP_PERCENT = 10; // the smallest bump nodes accept for a same-nonce replacement
+const FEE_CAP_POLICY = process.env.FEE_CAP_POLICY || 'alert'; // 'alert' or 'cancel'
+const DRY_RUN = process.env.DRY_RUN === 'true'; // simulate awards, never send them
+const CONFIG_DRIFT_POLICY = process.env.CONFIG_DRIFT_POLICY || 'refuse'; // 'refuse' or 'follow'
+const MAX_AWARDS_PER_WALLET = process.env.MAX_AWARDS_PER_WALLET ? parseInt(process.env.MAX_AWARDS_PER_WALLET) : 0; // 0 = no cap
+const AWARD_COOLDOWN_MS = process.env.AWARD_COOLDOWN_MS ? parseInt(process.env.AWARD_COOLDOWN_MS) : 0;
+const ALLOWLIST_FILE = process.env.ALLOWLIST_FILE;
+const DENYLIST_FILE = process.env.DENYLIST_FILE;
+const MAX_AWARDS_PER_HOUR = process.env.MAX_AWARDS_PER_HOUR ? parseInt(process.env.MAX_AWARDS_PER_HOUR) : 0; // 0 = no budget
+const MAX_AWARDS_PER_DAY = process.env.MAX_AWARDS_PER_DAY ? parseInt(process.env.MAX_AWARDS_PER_DAY) : 0;
+const MAX_GAS_PER_DAY = parseEther(process.env.MAX_GAS_PER_DAY_ETH || '0');
+const HEALTH_PORT = process.env.HEALTH_PORT ? parseInt(process.env.HEALTH_PORT) : 8080; // 0 disables the server
+const HEALTH_HOST = process.env.HEALTH_HOST || '127.0.0.1';
+const CONTROL_TOKEN = process.env.CONTROL_TOKEN; // enables the /control routes on the health server
+const MIN_WALLET_BALANCE = parseEther(process.env.MIN_WALLET_BALANCE_ETH || '0.001');
+const WALLET_LOW_AWARDS = process.env.WALLET_LOW_AWARDS ? parseInt(process.env.WALLET_LOW_AWARDS) : 20; // warn when the balance pays for fewer awards
+const AWARD_GAS_ESTIMATE = process.env.AWARD_GAS_ESTIMATE ? BigInt(process.env.AWARD_GAS_ESTIMATE) : BigInt(200000); // until an award has mined
+const RPC_STALE_MS = Math.max(3 * POLL_MS, 60 * 1000); // no successful RPC call for this long = not ready
+const RECENT_ERRORS_LIMIT = 20;
+const INVENTORY_LOW_WATER_MARKS = process.env.INVENTORY_LOW_WATER_MARKS || '10,3';
+const INVENTORY_FORECAST_WINDOW_HOURS = process.env.INVENTORY_FORECAST_WINDOW_HOURS ? parseFloat(process.env.INVENTORY_FORECAST_WINDOW_HOURS) : 24;
+const WEBHOOKS_FILE = process.env.WEBHOOKS_FILE;
+const WEBHOOK_URL = process.env.WEBHOOK_URL;
+const WEBHOOK_FORMAT = process.env.WEBHOOK_FORMAT || 'json'; // 'json' or 'discord'
+const WEBHOOK_EVENTS = process.env.WEBHOOK_EVENTS || 'nft_awarded,inventory_low,inventory_depleted,award_failed,threshold_changed,config_drift,awards_paused,awards_resumed,wallet_low,wallet_empty,wallet_funded,operator_paused,operator_resumed';
+const WEBHOOK_MAX_ATTEMPTS = process.env.WEBHOOK_MAX_ATTEMPTS ? parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) : 8;
+const WEBHOOK_RETRY_BASE_MS = 5000;
+const WEBHOOK_RETRY_MAX_MS = 10 * 60 * 1000;
+const WEBHOOK_TIMEOUT_MS = 10000;
+const WEBHOOK_QUEUE_LIMIT = 1000; // oldest deliveries are dropped past this
+const AWARD_REORG_WATCH_BLOCKS = BigInt(1000); // keep awarded events this long to flag late reorgs
+const AWARD_REORG_CHECK_MS = 60 * 1000; // re-check the source receipts of awarded events this often
+const AWARD_REORG_MISS_CHECKS = 3; // consecutive receipt misses before an awarded source counts as reorged
+const STATE_DIR = process.env.STATE_DIR || './state';
+const LEGACY_STATE_FILE = 'net_state.json';
+const STATE_COMPACT_EVERY = 1000; // journal commits between snapshots
 const CACHE_TTL_MS = 60 * 1000; // cache configs for 60s
 const LOG_DIR = './logs';
 const DISPENSER_LOG_FILE = `${LOG_DIR}/dispenser-actions.jsonl`;
+const DEFAULT_CAMPAIGN_ID = 'default';
 
 // ---------------------- VALIDATION ----------------------
 function validateConfig() {
-  const errors = [];
+  const missing = [];
+  const invalid = [];
   
   if (!BASE_MAINNET_RPC_URL) {
-    errors.push('BASE_MAINNET_RPC_URL is required');
+    missing.push('BASE_MAINNET_RPC_URL is required');
   }
   
   if (!PRIVATE_KEY) {
-    errors.push('PRIVATE_KEY is required');
+    missing.push('PRIVATE_KEY is required');
   }
   
-  if (!DISPENSER_ADDRESS) {
-    errors.push('DISPENSER_ADDRESS is required');
+  // A campaigns file replaces the single-campaign env vars
+  if (!CAMPAIGNS_FILE && !DISPENSER_ADDRESS) {
+    missing.push('DISPENSER_ADDRESS is required (or set CAMPAIGNS_FILE)');
   }
   
-  if (!TRACKED_TOKEN_ADDRESS) {
-    errors.push('TRACKED_TOKEN_ADDRESS is required');
+  if (!CAMPAIGNS_FILE && !TRACKED_TOKEN_ADDRESS) {
+    missing.push('TRACKED_TOKEN_ADDRESS is required (or set CAMPAIGNS_FILE)');
   }
   
   if (!UPVOTE_APP_ADDRESS) {
-    errors.push('UPVOTE_APP_ADDRESS is required');
+    missing.push('UPVOTE_APP_ADDRESS is required');
   }
   
-  if (errors.length > 0) {
+  for (const url of [...BASE_FALLBACK_RPC_URLS, ...BASE_WS_URLS]) {
+    if (!URL.canParse(url)) {
+      invalid.push(`Invalid RPC URL in BASE_FALLBACK_RPC_URLS or BASE_WS_URLS: ${redactRpcUrl(url)}`);
+    }
+  }
+  for (const url of BASE_WS_URLS) {
+    if (URL.canParse(url) && !['ws:', 'wss:'].includes(new URL(url).protocol)) {
+      invalid.push(`BASE_WS_URLS entries must start with ws:// or wss:// (got ${redactRpcUrl(url)})`);
+    }
+  }
+  
+  if (!['alert', 'cancel'].includes(FEE_CAP_POLICY)) {
+    invalid.push(`FEE_CAP_POLICY must be 'alert' or 'cancel' (got '${FEE_CAP_POLICY}')`);
+  }
+  
+  if (!['refuse', 'follow'].includes(CONFIG_DRIFT_POLICY)) {
+    invalid.push(`CONFIG_DRIFT_POLICY must be 'refuse' or 'follow' (got '${CONFIG_DRIFT_POLICY}')`);
+  }
+  
+  if (CONTROL_TOKEN && CONTROL_TOKEN.length < 16) {
+    invalid.push('CONTROL_TOKEN must be at least 16 characters');
+  }
+  
+  if (CONTROL_TOKEN && HEALTH_PORT === 0) {
+    invalid.push('CONTROL_TOKEN needs the health server, but HEALTH_PORT is 0');
+  }
+  
+  if (invalid.length > 0) {
+    console.error('\n[CONFIG ERROR] Invalid environment variable values:');
+    invalid.forEach(error => console.error(`  - ${error}`));
+    if (missing.length === 0) process.exit(1);
+  }
+  
+  if (missing.length > 0) {
     console.error('\n[CONFIG ERROR] Missing required environment variables:');
-    errors.forEach(error => console.error(`  - ${error}`));
+    missing.forEach(error => console.error(`  - ${error}`));
     console.error('\nPlease create a .env file with the required variables:');
     console.error('  cp .env.example .env');
     console.error('  # Then edit .env with your values');
@@ -76,23 +192,243 @@ function validateConfig() {
   
   // Normalize addresses to checksum format
   try {
-    global.NORMALIZED_DISPENSER_ADDRESS = getAddress(DISPENSER_ADDRESS);
-    global.NORMALIZED_TRACKED_TOKEN_ADDRESS = getAddress(TRACKED_TOKEN_ADDRESS);
     global.NORMALIZED_UPVOTE_APP_ADDRESS = getAddress(UPVOTE_APP_ADDRESS);
   } catch (err) {
     console.error('\n[CONFIG ERROR] Invalid address format:');
-    console.error('  - DISPENSER_ADDRESS:', DISPENSER_ADDRESS);
-    console.error('  - TRACKED_TOKEN_ADDRESS:', TRACKED_TOKEN_ADDRESS);
     console.error('  - UPVOTE_APP_ADDRESS:', UPVOTE_APP_ADDRESS);
     console.error('\nPlease ensure all addresses are valid Ethereum addresses');
     process.exit(1);
   }
   
+  try {
+    campaigns = loadCampaigns();
+    webhooks = loadWebhooks();
+  } catch (err) {
+    console.error(`\n[CONFIG ERROR] ${err.message}`);
+    for (const line of err.details || []) console.error(line);
+    process.exit(1);
+  }
+  
   console.log('[CONFIG] All required environment variables are set');
   console.log('[CONFIG] Normalized addresses:');
-  console.log('  - Dispenser:', global.NORMALIZED_DISPENSER_ADDRESS);
-  console.log('  - Token:', global.NORMALIZED_TRACKED_TOKEN_ADDRESS);
   console.log('  - Upvote App:', global.NORMALIZED_UPVOTE_APP_ADDRESS);
+  for (const campaign of campaigns) {
+    console.log(`  - Campaign ${campaign.id}: token ${campaign.trackedTokenAddress}, dispenser ${campaign.dispenserAddress}, ${campaign.requiredUpvotes.toString()} upvotes per award, rule ${describeRule(campaign.rule)}`);
+  }
+  for (const webhook of webhooks) {
+    console.log(`  - Webhook ${webhook.id}: ${webhook.format}, events ${webhook.events.join(', ')}`);
+  }
+}
+
+// ---------------------- CAMPAIGNS ----------------------
+// One bot can run several upvote campaigns, each with its own token,
+// dispenser, threshold and dispenser log, all fed by the single Upvoted
+// watcher. Without CAMPAIGNS_FILE the env vars describe one campaign.
+let campaigns = [];
+
+// Throws on the first invalid definition, so callers get all the campaigns
+// or none. Wallet lists are read into `lists`.
+function loadCampaigns(lists = walletLists) {
+  let definitions;
+  if (CAMPAIGNS_FILE) {
+    try {
+      definitions = JSON.parse(fs.readFileSync(CAMPAIGNS_FILE, 'utf8'));
+    } catch (err) {
+      throw new Error(`Could not read CAMPAIGNS_FILE ${CAMPAIGNS_FILE}: ${err.message}`);
+    }
+    if (!Array.isArray(definitions) || definitions.length === 0) {
+      throw new Error(`${CAMPAIGNS_FILE} must contain a non-empty array of campaigns`);
+    }
+  } else {
+    definitions = [{
+      id: DEFAULT_CAMPAIGN_ID,
+      trackedToken: TRACKED_TOKEN_ADDRESS,
+      dispenser: DISPENSER_ADDRESS,
+      nftContract: NFT_CONTRACT_ADDRESS,
+      requiredUpvotes: REQUIRED_UPVOTES.toString(),
+      rule: {
+        mode: REWARD_MODE,
+        tiers: REWARD_TIERS,
+        batchMin: CUMULATIVE_BATCH_MIN.toString(),
+        batchMaxAgeMs: CUMULATIVE_BATCH_MAX_AGE_MS
+      },
+      lowWaterMarks: INVENTORY_LOW_WATER_MARKS,
+      logFile: DISPENSER_LOG_FILE
+    }];
+  }
+
+  const seen = new Set();
+  const loaded = definitions.map((definition, index) => {
+    const id = definition.id || `campaign-${index + 1}`;
+    if (seen.has(id) || !/^[\w-]+$/.test(id)) {
+      throw new Error(`Campaign id "${id}" must be unique and only use letters, numbers, _ and -`);
+    }
+    seen.add(id);
+
+    try {
+      const requiredUpvotes = BigInt(definition.requiredUpvotes ?? 420);
+      const campaign = {
+        id,
+        trackedTokenAddress: getAddress(definition.trackedToken),
+        dispenserAddress: getAddress(definition.dispenser),
+        nftContractAddress: definition.nftContract ? getAddress(definition.nftContract) : null, // not checked when unset
+        requiredUpvotes,
+        rule: parseRule(definition.rule, requiredUpvotes),
+        policy: parseAwardPolicy(definition, lists),
+        lowWaterMarks: parseLowWaterMarks(definition.lowWaterMarks ?? INVENTORY_LOW_WATER_MARKS),
+        logFile: definition.logFile || `${LOG_DIR}/dispenser-actions-${id}.jsonl`,
+        configCache: {},
+        drift: [], // settings the dispenser disagrees on, awards are held while any remain
+        inventoryAlert: { mark: null }, // lowest low-water mark already alerted
+        claimsDue: false // cumulative balances to claim after a restock
+      };
+      return campaign;
+    } catch (err) {
+      const invalid = new Error(`Invalid campaign "${id}": ${err.shortMessage || err.message}`);
+      invalid.details = [
+        `  - trackedToken: ${definition.trackedToken}`,
+        `  - dispenser: ${definition.dispenser}`,
+        `  - requiredUpvotes: ${definition.requiredUpvotes}`,
+        `  - rule: ${JSON.stringify(definition.rule)}`,
+        `  - lowWaterMarks: ${JSON.stringify(definition.lowWaterMarks)}`
+      ];
+      throw invalid;
+    }
+  });
+
+  // Ensure dispenser log files exist
+  for (const campaign of loaded) {
+    if (!fs.existsSync(campaign.logFile)) {
+      fs.writeFileSync(campaign.logFile, '');
+    }
+  }
+  return loaded;
+}
+
+function getCampaign(id) {
+  return campaigns.find(campaign => campaign.id === id);
+}
+
+// Campaigns an upvote qualifies for, with the number of awards each
+// campaign's rule grants for it
+function matchCampaigns(event) {
+  const matches = [];
+  for (const campaign of campaigns) {
+    if (event.token !== campaign.trackedTokenAddress.toLowerCase()) continue;
+
+    const decision = evaluateRule(campaign, BigInt(event.numUpvotes));
+    if (decision.awards > 0) {
+      matches.push({ campaign, ...decision });
+    }
+  }
+  return matches;
+}
+
+// ---------------------- REWARD RULES ----------------------
+// How many awards a single upvote tx earns. Every award is one addUpvotes
+// call for the campaign's requiredUpvotes, so the dispenser hands out one
+// NFT per award.
+//   exact     - numUpvotes == requiredUpvotes earns 1 (original behavior)
+//   atLeast   - numUpvotes >= requiredUpvotes earns 1
+//   multiples - 1 per full requiredUpvotes in numUpvotes
+//   tiers     - the tier whose [min, max] range holds numUpvotes
+//   cumulative - every upvote is credited; the dispenser's own userUpvotes
+//                balance decides when an NFT goes out (see UPVOTE LEDGER)
+const REWARD_MODES = ['exact', 'atLeast', 'multiples', 'tiers', 'cumulative'];
+
+// Tiers come either as an array of { min, max, awards } or as a string
+// of "min-max:awards" ranges; a range without max is open-ended
+function parseTiers(tiers) {
+  const list = typeof tiers === 'string'
+    ? tiers.split(',').map(part => {
+        const [range, awards] = part.trim().split(':');
+        const [min, max] = range.split('-');
+        return { min, max: max || null, awards };
+      })
+    : tiers;
+
+  if (!Array.isArray(list) || list.length === 0) {
+    throw new Error('tiers mode needs at least one tier');
+  }
+
+  const parsed = list
+    .map(tier => ({
+      min: BigInt(tier.min),
+      max: tier.max === undefined || tier.max === null ? null : BigInt(tier.max),
+      awards: parseInt(tier.awards ?? 1)
+    }))
+    .sort((a, b) => (a.min < b.min ? -1 : 1));
+
+  parsed.forEach((tier, i) => {
+    if (!(tier.awards > 0) || (tier.max !== null && tier.max < tier.min)) {
+      throw new Error(`invalid tier ${tier.min}-${tier.max ?? ''}:${tier.awards}`);
+    }
+    const next = parsed[i + 1];
+    if (next && (tier.max === null || tier.max >= next.min)) {
+      throw new Error(`tiers starting at ${tier.min} and ${next.min} overlap`);
+    }
+  });
+  return parsed;
+}
+
+function parseRule(definition, requiredUpvotes) {
+  const rule = typeof definition === 'string' ? { mode: definition } : { ...(definition || {}) };
+  rule.mode = rule.mode || 'exact';
+
+  if (!REWARD_MODES.includes(rule.mode)) {
+    throw new Error(`unknown reward mode "${rule.mode}" (use ${REWARD_MODES.join(', ')})`);
+  }
+  if (requiredUpvotes <= 0n) {
+    throw new Error('requiredUpvotes must be greater than 0');
+  }
+  if (rule.mode === 'tiers') {
+    return { mode: 'tiers', tiers: parseTiers(rule.tiers) };
+  }
+  if (rule.mode === 'cumulative') {
+    const batchMin = BigInt(rule.batchMin ?? CUMULATIVE_BATCH_MIN);
+    const batchMaxAgeMs = parseInt(rule.batchMaxAgeMs ?? CUMULATIVE_BATCH_MAX_AGE_MS);
+    if (batchMin <= 0n || !(batchMaxAgeMs > 0)) {
+      throw new Error('cumulative mode needs a positive batchMin and batchMaxAgeMs');
+    }
+    return { mode: 'cumulative', batchMin, batchMaxAgeMs };
+  }
+  return { mode: rule.mode };
+}
+
+function describeTier(tier) {
+  return `${tier.min.toString()}-${tier.max === null ? '' : tier.max.toString()}:${tier.awards}`;
+}
+
+function describeRule(rule) {
+  if (rule.mode === 'tiers') {
+    return `tiers(${rule.tiers.map(describeTier).join(',')})`;
+  }
+  if (rule.mode === 'cumulative') {
+    return `cumulative(batch ${rule.batchMin.toString()}, max age ${Math.round(rule.batchMaxAgeMs / 1000)}s)`;
+  }
+  return rule.mode;
+}
+
+function evaluateRule(campaign, numUpvotes) {
+  const { rule, requiredUpvotes } = campaign;
+
+  switch (rule.mode) {
+    case 'exact':
+      return { awards: numUpvotes === requiredUpvotes ? 1 : 0, rule: 'exact' };
+    case 'atLeast':
+      return { awards: numUpvotes >= requiredUpvotes ? 1 : 0, rule: 'atLeast' };
+    case 'multiples':
+      return { awards: Number(numUpvotes / requiredUpvotes), rule: 'multiples' };
+    case 'tiers': {
+      const tier = rule.tiers.find(t => numUpvotes >= t.min && (t.max === null || numUpvotes <= t.max));
+      return tier
+        ? { awards: tier.awards, rule: `tiers:${describeTier(tier)}` }
+        : { awards: 0, rule: 'tiers' };
+    }
+    case 'cumulative':
+      return { awards: numUpvotes > 0n ? 1 : 0, rule: 'cumulative' };
+  }
+  return { awards: 0, rule: rule.mode };
 }
 
 // Net Protocol contract details
@@ -115,149 +451,883 @@ const UPVOTE_APP_ABI = parseAbi([
 const DISPENSER_ABI = parseAbi([
   'function addUpvotes(address user, uint256 numVotes) external',
   'function upvotesRequired() external view returns (uint256)',
+  'function trackedToken() external view returns (address)',
+  'function nftContract() external view returns (address)',
   'function getQueuedNFTs() external view returns (uint256[])',
-  'function userUpvotes(address) external view returns (uint256)'
+  'function userUpvotes(address) external view returns (uint256)',
+  'function owner() external view returns (address)',
+  'event NFTClaimed(address indexed user, uint256 tokenId)',
+  'event UpvotesAdded(address indexed user, uint256 count)'
 ]);
 
+// ---------------------- METRICS ----------------------
+// Minimal Prometheus registry, rendered in text format on /metrics
+const METRIC_PREFIX = 'net_upvote_bot_';
+const RPC_DURATION_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+const AWARD_LATENCY_BUCKETS = [5, 15, 30, 60, 120, 300, 600, 1800, 3600];
+const metrics = new Map(); // name -> { type, help, buckets, series: Map(labelKey -> value) }
+
+function defineMetric(name, type, help, buckets) {
+  metrics.set(name, { type, help, buckets, series: new Map() });
+}
+
+defineMetric('upvote_events_seen_total', 'counter', 'Upvoted events seen on the Upvote App');
+defineMetric('upvotes_qualified_total', 'counter', 'Upvote events that qualified for an award');
+defineMetric('awards_total', 'counter', 'Award transactions mined, by whether an NFT was delivered');
+defineMetric('award_failures_total', 'counter', 'Failed award attempts, by whether they will be retried or were parked');
+defineMetric('dry_run_awards_total', 'counter', 'Awards simulated in dry-run mode, by whether an NFT would be delivered');
+defineMetric('duplicate_awards_total', 'counter', 'Awards skipped because the dispenser had already credited their source event');
+defineMetric('policy_rejections_total', 'counter', 'Awards rejected by the per-wallet award policy, by reason');
+defineMetric('inventory_depleted_total', 'counter', 'Qualifying upvotes skipped because the dispenser was empty');
+defineMetric('dispenser_inventory', 'gauge', 'NFTs queued in the dispenser');
+defineMetric('awards_paused', 'gauge', 'Whether sending awards is paused, by reason');
+defineMetric('config_drift', 'gauge', 'Dispenser settings that disagree with the campaign and hold its awards');
+defineMetric('inventory_hours_remaining', 'gauge', 'Forecast hours until the dispenser is empty (-1 when there were no recent awards)');
+defineMetric('wallet_balance_eth', 'gauge', 'ETH balance of the award wallet');
+defineMetric('wallet_awards_remaining', 'gauge', 'Estimated awards the award wallet can still pay gas for');
+defineMetric('last_processed_block', 'gauge', 'Highest block the bot has processed Upvoted events from');
+defineMetric('chain_head_block', 'gauge', 'Latest block number seen from the RPC');
+defineMetric('block_lag', 'gauge', 'Blocks between the chain head and the last processed block');
+defineMetric('outbox_entries', 'gauge', 'Award outbox entries by status');
+defineMetric('rpc_endpoint_up', 'gauge', 'Whether the last request to an RPC endpoint succeeded');
+defineMetric('watcher_restarts_total', 'counter', 'Upvoted watcher restarts, by reason');
+defineMetric('watcher_lag_blocks', 'gauge', 'Blocks between the chain head and the last block the watcher has seen');
+defineMetric('award_latency_seconds', 'histogram', 'Time from an award being queued to its receipt', AWARD_LATENCY_BUCKETS);
+defineMetric('rpc_request_duration_seconds', 'histogram', 'Duration of RPC requests by method', RPC_DURATION_BUCKETS);
+
+function labelKey(labels) {
+  const escape = value => String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+  return Object.keys(labels).sort().map(key => `${key}="${escape(labels[key])}"`).join(',');
+}
+
+function incCounter(name, labels = {}, value = 1) {
+  const { series } = metrics.get(name);
+  const key = labelKey(labels);
+  series.set(key, (series.get(key) || 0) + value);
+}
+
+function setGauge(name, labels, value) {
+  metrics.get(name).series.set(labelKey(labels), Number(value));
+}
+
+function observeHistogram(name, labels, value) {
+  const { buckets, series } = metrics.get(name);
+  const key = labelKey(labels);
+  let histogram = series.get(key);
+  if (!histogram) {
+    histogram = { counts: buckets.map(() => 0), sum: 0, count: 0 };
+    series.set(key, histogram);
+  }
+  buckets.forEach((bound, i) => {
+    if (value <= bound) histogram.counts[i]++;
+  });
+  histogram.sum += value;
+  histogram.count++;
+}
+
+function renderMetrics() {
+  const lines = [];
+  for (const [name, metric] of metrics) {
+    const fullName = `${METRIC_PREFIX}${name}`;
+    lines.push(`# HELP ${fullName} ${metric.help}`);
+    lines.push(`# TYPE ${fullName} ${metric.type}`);
+
+    for (const [key, value] of metric.series) {
+      if (metric.type !== 'histogram') {
+        lines.push(`${fullName}${key ? `{${key}}` : ''} ${value}`);
+        continue;
+      }
+      const prefix = key ? `${key},` : '';
+      metric.buckets.forEach((bound, i) => {
+        lines.push(`${fullName}_bucket{${prefix}le="${bound}"} ${value.counts[i]}`);
+      });
+      lines.push(`${fullName}_bucket{${prefix}le="+Inf"} ${value.count}`);
+      lines.push(`${fullName}_sum${key ? `{${key}}` : ''} ${value.sum}`);
+      lines.push(`${fullName}_count${key ? `{${key}}` : ''} ${value.count}`);
+    }
+  }
+  return lines.join('\n') + '\n';
+}
+
+// Wraps a viem transport so every RPC request is timed by method
+function timedTransport(transport) {
+  return (options) => {
+    const inner = transport(options);
+    return {
+      ...inner,
+      async request(args, requestOptions) {
+        const start = performance.now();
+        try {
+          return await inner.request(args, requestOptions);
+        } finally {
+          observeHistogram('rpc_request_duration_seconds', { method: args.method }, (performance.now() - start) / 1000);
+        }
+      }
+    };
+  };
+}
+
 // ---------------------- CLIENTS ----------------------
+// With BASE_FALLBACK_RPC_URLS set, requests go through viem's fallback
+// transport: endpoints are ranked by success rate and latency every
+// RPC_RANK_INTERVAL_MS, and a failed request moves on to the next one.
+const RPC_URLS = [BASE_MAINNET_RPC_URL, ...BASE_FALLBACK_RPC_URLS].filter(Boolean);
+const rpcEndpoints = RPC_URLS.map(url => ({
+  url,
+  label: redactRpcUrl(url),
+  ok: null,
+  lastSuccessAt: null,
+  lastError: null
+}));
+const activeRpcEndpoints = {}; // client name -> endpoint that answered last
+
+// Provider URLs usually carry an API key, so only the host is ever logged
+function redactRpcUrl(url) {
+  return URL.canParse(url) ? `${new URL(url).protocol}//${new URL(url).host}` : 'invalid url';
+}
+
+function createRpcTransport() {
+  if (RPC_URLS.length <= 1) {
+    return timedTransport(viemHttp(BASE_MAINNET_RPC_URL));
+  }
+  return timedTransport(fallback(RPC_URLS.map(url => viemHttp(url)), {
+    rank: {
+      interval: RPC_RANK_INTERVAL_MS,
+      // net_listening (viem's default ping) is not served by every provider
+      ping: ({ transport }) => transport.request({ method: 'eth_blockNumber' })
+    }
+  }));
+}
+
+function trackRpcEndpoints(client, name) {
+  client.transport.onResponse?.(({ transport, status, error }) => {
+    const endpoint = rpcEndpoints.find(e => e.url === transport.value?.url);
+    if (!endpoint) return;
+
+    if (status === 'error') {
+      endpoint.ok = false;
+      endpoint.lastError = { message: error.shortMessage || error.message, at: Date.now() };
+      setGauge('rpc_endpoint_up', { endpoint: endpoint.label }, 0);
+      return;
+    }
+
+    endpoint.ok = true;
+    endpoint.lastSuccessAt = Date.now();
+    setGauge('rpc_endpoint_up', { endpoint: endpoint.label }, 1);
+
+    const previous = activeRpcEndpoints[name];
+    activeRpcEndpoints[name] = endpoint;
+    if (!previous || previous === endpoint) return;
+    if (previous.ok === false) {
+      console.log(`[RPC] ${name} client failed over from ${previous.label} to ${endpoint.label}`);
+      logWarning('rpc_failover', { client: name, from: previous.label, to: endpoint.label, error: previous.lastError?.message });
+    } else {
+      logInfo('rpc_endpoint_changed', { client: name, from: previous.label, to: endpoint.label });
+    }
+  });
+}
+
 const publicClient = createPublicClient({
   chain: base,
-  transport: viemHttp(BASE_MAINNET_RPC_URL)
+  transport: createRpcTransport()
 });
+trackRpcEndpoints(publicClient, 'public');
 
 // Create account from private key
 const account = privateKeyToAccount(`0x${PRIVATE_KEY}`);
 
 const walletClient = createWalletClient({
   chain: base,
-  transport: viemHttp(BASE_MAINNET_RPC_URL),
+  transport: createRpcTransport(),
   account
 });
+trackRpcEndpoints(walletClient, 'wallet');
+
+// ---------------------- STATE STORE ----------------------
+// Embedded transactional store under STATE_DIR:
+//   snapshot.json - every collection as of commit `seq`, replaced atomically
+//                   (write temp file, fsync, rename)
+//   journal.jsonl - one fsynced line per commit since that snapshot:
+//                   { seq, ops: [[collection, key, value | null]] }
+// A commit is a single journal line, so it lands whole or not at all; a torn
+// last line from a crash is dropped on replay. Nothing is capped.
+//
+// Collections are Maps/Sets that remember which keys changed. Objects that
+// are mutated in place must be touch()ed so the next commit picks them up.
+class TrackedMap extends Map {
+  dirty = new Set();
+
+  set(key, value) {
+    super.set(key, value);
+    this.dirty?.add(key);
+    return this;
+  }
+
+  delete(key) {
+    const existed = super.delete(key);
+    if (existed) this.dirty.add(key);
+    return existed;
+  }
+
+  touch(key) {
+    if (this.has(key)) this.dirty.add(key);
+  }
+
+  // Replay helpers: change contents without marking anything dirty
+  load(entries) {
+    for (const [key, value] of entries) super.set(key, value);
+  }
+
+  forget(key) {
+    super.delete(key);
+  }
+
+  takeChanges(collection) {
+    const ops = Array.from(this.dirty, key => [collection, key, this.has(key) ? this.get(key) : null]);
+    this.dirty.clear();
+    return ops;
+  }
+}
+
+class TrackedSet extends Set {
+  dirty = new Set();
+
+  add(value) {
+    if (!this.has(value)) this.dirty?.add(value);
+    return super.add(value);
+  }
+
+  delete(value) {
+    const existed = super.delete(value);
+    if (existed) this.dirty.add(value);
+    return existed;
+  }
+
+  load(values) {
+    for (const value of values) super.add(value);
+  }
+
+  forget(value) {
+    super.delete(value);
+  }
+
+  takeChanges(collection) {
+    const ops = Array.from(this.dirty, value => [collection, value, this.has(value) ? true : null]);
+    this.dirty.clear();
+    return ops;
+  }
+}
+
+const stateStore = {
+  snapshotFile: `${STATE_DIR}/snapshot.json`,
+  journalFile: `${STATE_DIR}/journal.jsonl`,
+  journalFd: null,
+  seq: 0,
+  commitsSinceSnapshot: 0,
+  savedMeta: {}
+};
+
+function fsyncDir(dir) {
+  // Not supported on every platform; the rename is still atomic without it
+  try {
+    const fd = fs.openSync(dir, 'r');
+    fs.fsyncSync(fd);
+    fs.closeSync(fd);
+  } catch {}
+}
+
+function writeFileAtomic(file, contents) {
+  const tmp = `${file}.tmp`;
+  const fd = fs.openSync(tmp, 'w');
+  try {
+    fs.writeSync(fd, contents);
+    fs.fsyncSync(fd);
+  } finally {
+    fs.closeSync(fd);
+  }
+  fs.renameSync(tmp, file);
+  fsyncDir(STATE_DIR);
+}
+
+function getStateMeta() {
+  return {
+    lastProcessed: lastTip.toString(),
+    tip: lastTip.toString(),
+    lastProcessedBlock: lastProcessedBlock.toString()
+  };
+}
+
+function getStateCollections() {
+  return {
+    processed: processedLogIds,
+    pending: pendingEvents,
+    outbox: awardOutbox,
+    ledger: upvoteLedger,
+    webhooks: webhookQueue,
+    awards: awardIndex,
+    controls: operatorControls,
+    awarded: awardedEvents
+  };
+}
+
+// Write a full snapshot and start a fresh journal
+function compactState() {
+  const meta = getStateMeta();
+  const snapshot = { version: 1, seq: stateStore.seq, ...meta };
+  for (const [name, collection] of Object.entries(getStateCollections())) {
+    snapshot[name] = Array.from(collection instanceof Set ? collection.values() : collection.entries());
+  }
+  writeFileAtomic(stateStore.snapshotFile, JSON.stringify(snapshot));
+
+  // Journal lines up to seq are now in the snapshot and skipped on replay,
+  // so a crash before this truncate is harmless
+  fs.ftruncateSync(stateStore.journalFd, 0);
+  fs.fsyncSync(stateStore.journalFd);
+  stateStore.commitsSinceSnapshot = 0;
+  stateStore.savedMeta = meta;
+}
+
+function applyStateOp([collection, key, value]) {
+  if (collection === 'meta') {
+    if (key === 'lastProcessedBlock') lastProcessedBlock = BigInt(value);
+    if (key === 'tip') lastTip = BigInt(value);
+    return;
+  }
+  const target = getStateCollections()[collection];
+  if (!target) return;
+  if (value === null) {
+    target.forget(key);
+  } else {
+    target.load(target instanceof Set ? [key] : [[key, value]]);
+  }
+}
+
+// Read net_state.json from before the store existed into the collections
+function importLegacyState(state) {
+  if (state.processed && Array.isArray(state.processed)) {
+    processedLogIds.load(state.processed);
+  }
+  if (state.lastProcessedBlock) {
+    lastProcessedBlock = BigInt(state.lastProcessedBlock);
+  }
+  if (state.pending && Array.isArray(state.pending)) {
+    pendingEvents.load(state.pending.map(event => [event.id, event]));
+  }
+  if (state.outbox && Array.isArray(state.outbox)) {
+    awardOutbox.load(state.outbox.map(entry => [entry.id, entry]));
+  }
+  if (state.ledger && Array.isArray(state.ledger)) {
+    upvoteLedger.load(state.ledger.map(entry => [entry.key, entry]));
+  }
+  if (state.webhooks && Array.isArray(state.webhooks)) {
+    webhookQueue.load(state.webhooks.map(delivery => [delivery.id, delivery]));
+  }
+}
+
+function loadState() {
+  if (!fs.existsSync(STATE_DIR)) {
+    fs.mkdirSync(STATE_DIR, { recursive: true });
+  }
+
+  let migrated = false;
+  if (fs.existsSync(stateStore.snapshotFile)) {
+    const snapshot = JSON.parse(fs.readFileSync(stateStore.snapshotFile, 'utf8'));
+    stateStore.seq = snapshot.seq;
+    lastTip = BigInt(snapshot.tip || 0);
+    lastProcessedBlock = BigInt(snapshot.lastProcessedBlock || 0);
+    for (const [name, collection] of Object.entries(getStateCollections())) {
+      // Collections added in later versions are missing from older snapshots
+      collection.load(snapshot[name] || []);
+    }
+  } else if (fs.existsSync(LEGACY_STATE_FILE)) {
+    importLegacyState(JSON.parse(fs.readFileSync(LEGACY_STATE_FILE, 'utf8')));
+    migrated = true;
+  }
+
+  // Replay commits made after the snapshot, stopping at a torn tail. A line
+  // only counts once its newline is on disk, since every commit is written
+  // and synced together with it; text after the last newline is dropped
+  // even when it happens to parse.
+  let validBytes = 0;
+  let replayed = 0;
+  if (fs.existsSync(stateStore.journalFile)) {
+    const journal = fs.readFileSync(stateStore.journalFile, 'utf8');
+    const lines = journal.split('\n');
+    const tail = lines.pop();
+    for (const line of lines) {
+      if (!line) break;
+      let commit;
+      try {
+        commit = JSON.parse(line);
+      } catch {
+        console.log(`[STATE] Dropping incomplete last journal entry at byte ${validBytes}`);
+        break;
+      }
+      validBytes += Buffer.byteLength(line) + 1;
+      if (commit.seq <= stateStore.seq) continue;
+      commit.ops.forEach(applyStateOp);
+      stateStore.seq = commit.seq;
+      replayed++;
+    }
+    if (tail && validBytes === Buffer.byteLength(journal) - Buffer.byteLength(tail)) {
+      console.log(`[STATE] Dropping unterminated last journal entry at byte ${validBytes}`);
+    }
+  }
+
+  stateStore.journalFd = fs.openSync(stateStore.journalFile, 'a+');
+  fs.ftruncateSync(stateStore.journalFd, validBytes);
+  stateStore.commitsSinceSnapshot = replayed;
+  stateStore.savedMeta = getStateMeta();
+
+  if (migrated) {
+    compactState();
+    fs.renameSync(LEGACY_STATE_FILE, `${LEGACY_STATE_FILE}.migrated`);
+    console.log(`[STATE] Migrated ${LEGACY_STATE_FILE} into ${STATE_DIR} (old file kept as ${LEGACY_STATE_FILE}.migrated)`);
+  } else if (replayed > STATE_COMPACT_EVERY) {
+    compactState();
+  }
+}
 
 // ---------------------- STATE ----------------------
 let lastProcessed = 0;
-let configCache = {};
+let lastTip = BigInt(0);
 
-// Idempotency store for processed logs
-let processedLogIds = new Set(); // `${txHash}:${logIndex}`
+// Idempotency store for processed logs (kept forever, see STATE STORE)
+const processedLogIds = new TrackedSet(); // `${txHash}:${logIndex}`
 let lastProcessedBlock = 0n;
 
+// Non-qualifying logs seen recently, so re-scanned blocks aren't counted
+// twice in the metrics (memory only, like the counters themselves)
+const seenLogIds = new Map(); // `${txHash}:${logIndex}` -> block number
+const SEEN_LOG_WINDOW_BLOCKS = 1000n;
+
+// Qualifying events waiting for CONFIRMATIONS, and recent awards we can
+// still flag if their source upvote gets reorged out
+const pendingEvents = new TrackedMap(); // id -> upvote event
+const awardedEvents = new TrackedMap(); // outbox id -> upvote event + dispenserTx
+let lastAwardReorgCheck = 0;
+
+// Durable award outbox, persisted with the rest of the state
+const awardOutbox = new TrackedMap(); // `${campaignId}/${eventId}` -> outbox entry
+
+// Set once a shutdown signal arrives; nothing new is started after that
+let shuttingDown = false;
+
+// Process health, served by the HTTP status server
+const health = {
+  startedAt: Date.now(),
+  watcherRunning: false,
+  watcherError: null,
+  watcherStalls: 0,
+  lastWatcherStall: null,
+  lastRpcSuccessAt: null,
+  lastRpcError: null,
+  walletBalance: null,
+  chainHead: null,
+  syncing: null, // { fromBlock, toBlock } while a backfill runs
+  recentErrors: []
+};
+
+// Per-user upvote ledger for cumulative campaigns
+const upvoteLedger = new TrackedMap(); // `${campaignId}/${user}` -> ledger entry
+let lastLedgerReconcile = 0;
+
+// Webhook deliveries waiting to be sent (or retried), oldest first
+const webhookQueue = new TrackedMap(); // delivery id -> delivery
+
+// Source upvote tx -> the dispenser txs that awarded it
+const awardIndex = new TrackedMap(); // `${campaignId}/${sourceTx}` -> index entry
+
+// Operator switches that must survive a restart (see OPERATOR CONTROL)
+const operatorControls = new TrackedMap(); // 'pause' -> { pausedAt, note }
+
 // Ensure logs dir exists
 if (!fs.existsSync(LOG_DIR)) {
   fs.mkdirSync(LOG_DIR);
 }
 
-// Ensure dispenser log file exists
-if (!fs.existsSync(DISPENSER_LOG_FILE)) {
-  fs.writeFileSync(DISPENSER_LOG_FILE, '');
-}
-
 // Load last processed state
 try {
-  const stateFile = fs.readFileSync('net_state.json');
-  const state = JSON.parse(stateFile);
-  // Restore processed logs & last processed block if present
-  if (state.processed && Array.isArray(state.processed)) {
-    processedLogIds = new Set(state.processed);
+  loadState();
+  // Entries written before campaigns existed belong to the env campaign
+  for (const entry of Array.from(awardOutbox.values())) {
+    if (entry.campaignId) continue;
+    awardOutbox.delete(entry.id);
+    entry.campaignId = DEFAULT_CAMPAIGN_ID;
+    entry.eventId = entry.id;
+    entry.id = `${DEFAULT_CAMPAIGN_ID}/${entry.eventId}`;
+    awardOutbox.set(entry.id, entry);
   }
-  if (state.lastProcessedBlock) {
-    lastProcessedBlock = BigInt(state.lastProcessedBlock);
+  // Awards confirmed before the index existed
+  for (const entry of awardOutbox.values()) {
+    if (entry.status === 'confirmed' && entry.dispenserTx) indexAward(entry, entry.dispenserTx, entry.confirmedBlock);
   }
   // For previous versions, keep app-specific message index at 0
   lastProcessed = BigInt(0);
-  console.log(`Starting from app message index: ${lastProcessed} (block ${lastProcessedBlock.toString()})`);
+  console.log(`Starting from app message index: ${lastProcessed} (block ${lastProcessedBlock.toString()}, ${processedLogIds.size} processed events, ${awardOutbox.size} awards)`);
 } catch (err) {
-  console.log('No state file found, starting from 0');
-  lastProcessed = BigInt(0);
+  // Starting empty would forget processed events and re-award them
+  console.error(`[STATE_ERROR] Failed to load state from ${STATE_DIR}:`, err.message);
+  process.exit(1);
 }
 
 // ---------------------- DISPENSER LOGGING ----------------------
-function logDispenserAction(action, data) {
+function logDispenserAction(action, data, campaign) {
   const entry = {
     timestamp: new Date().toISOString(),
     action,
+    campaign: campaign.id,
     ...data
   };
   
   try {
-    fs.appendFileSync(DISPENSER_LOG_FILE, JSON.stringify(entry) + '\n');
+    fs.appendFileSync(campaign.logFile, JSON.stringify(entry) + '\n');
   } catch (err) {
     console.error('Error writing to dispenser log:', err);
   }
+
+  enqueueWebhooks(entry);
 }
 
-// ---------------------- FUNCTIONS ----------------------
-async function getConfig() {
-  const now = Date.now();
-  if (configCache.timestamp && now - configCache.timestamp < CACHE_TTL_MS) {
-    return configCache.data;
-  }
+// ---------------------- WEBHOOKS ----------------------
+// Dispenser actions are pushed to outbound webhooks. Payloads are rendered
+// when the action happens and kept in a persistent queue, so a restart or a
+// receiver outage only delays delivery. Webhook URLs are secrets (Discord
+// tokens live in the path) and are never logged.
+let webhooks = [];
+let webhookDelivering = false;
 
-  try {
-    // Read all contract settings in parallel
-    const [upvotesRequired, queuedNFTs] = await Promise.all([
-      publicClient.readContract({
-        address: global.NORMALIZED_DISPENSER_ADDRESS,
-        abi: DISPENSER_ABI,
-        functionName: 'upvotesRequired'
-      }),
-      publicClient.readContract({
-        address: global.NORMALIZED_DISPENSER_ADDRESS,
-        abi: DISPENSER_ABI,
-        functionName: 'getQueuedNFTs'
-      })
-    ]);
+const WEBHOOK_FORMATS = ['json', 'discord'];
 
-    const config = {
-      upvotesRequired: upvotesRequired.toString(),
-      queuedNFTCount: queuedNFTs.length,
-      queuedNFTs: queuedNFTs.map(id => id.toString()),
-      lastUpdated: now
-    };
+const DEFAULT_WEBHOOK_TEMPLATES = {
+  nft_awarded: 'NFT #{{tokenId}} awarded to {{user}} in campaign {{campaign}}! {{dispenserBasescan}}',
+  inventory_low: 'Dispenser for campaign {{campaign}} is down to {{queuedNFTCount}} NFTs (low-water mark {{mark}}). {{forecastText}}',
+  inventory_depleted: 'Dispenser for campaign {{campaign}} is out of NFTs. {{user}} qualified but nothing was sent. {{sourceBasescan}}',
+  award_failed: 'Award to {{user}} in campaign {{campaign}} failed after {{attempts}} attempt(s) and needs review: {{error}}',
+  threshold_changed: 'Upvotes required for campaign {{campaign}} changed from {{oldValue}} to {{newValue}}',
+  config_drift: 'Dispenser for campaign {{campaign}} has {{field}} {{onChain}} but the bot expects {{expected}} ({{resolution}})',
+  awards_paused: 'Awards are paused: the {{budget}} budget is used up ({{used}} of {{limit}}). Qualifying upvotes are queued until {{resumesAt}}',
+  awards_resumed: 'Awards resumed after the {{budget}} budget reset, {{held}} queued award(s) will go out',
+  wallet_low: 'Award wallet {{account}} is down to {{balanceEth}} ETH, enough for about {{awardsLeft}} more award(s). Top it up',
+  wallet_empty: 'Award wallet {{account}} has {{balanceEth}} ETH and cannot pay for an award ({{awardCostEth}} ETH). Awards are queued until it is topped up',
+  wallet_funded: 'Award wallet {{account}} was topped up to {{balanceEth}} ETH (about {{awardsLeft}} awards), {{held}} queued award(s) will go out',
+  operator_paused: 'Awards were paused by an operator. Qualifying upvotes are queued until they are resumed. {{note}}',
+  operator_resumed: 'Awards were resumed by an operator, {{held}} queued award(s) will go out',
+  upvotes_credited_no_nft: 'Upvotes were credited to {{user}} in campaign {{campaign}} but no NFT was sent. {{dispenserBasescan}}',
+  reorged_after_award: 'Upvote from {{user}} in campaign {{campaign}} was reorged out after it was awarded. {{dispenserBasescan}}'
+};
+const FALLBACK_WEBHOOK_TEMPLATE = '{{action}} in campaign {{campaign}}';
 
-    // Log config updates
-    logInfo('config_updated', config);
-    
-    // Log dispenser config changes
-    logDispenserAction('config_updated', {
-      upvotesRequired: upvotesRequired.toString(),
-      queuedNFTCount: queuedNFTs.length,
-      queuedNFTs: queuedNFTs.map(id => id.toString())
-    });
+// Webhooks come from WEBHOOKS_FILE (an array of definitions) or a single
+// WEBHOOK_URL configured through the WEBHOOK_* env vars
+function loadWebhooks() {
+  let definitions = [];
+  if (WEBHOOKS_FILE) {
+    try {
+      definitions = JSON.parse(fs.readFileSync(WEBHOOKS_FILE, 'utf8'));
+    } catch (err) {
+      throw new Error(`Could not read WEBHOOKS_FILE ${WEBHOOKS_FILE}: ${err.message}`);
+    }
+    if (!Array.isArray(definitions)) {
+      throw new Error(`${WEBHOOKS_FILE} must contain an array of webhooks`);
+    }
+  } else if (WEBHOOK_URL) {
+    definitions = [{ id: 'default', url: WEBHOOK_URL, format: WEBHOOK_FORMAT, events: WEBHOOK_EVENTS.split(',') }];
+  }
 
-    configCache = {
-      timestamp: now,
-      data: config
+  return definitions.map((definition, index) => {
+    const webhook = {
+      id: definition.id || `webhook-${index + 1}`,
+      url: definition.url,
+      format: definition.format || 'json',
+      events: (definition.events || WEBHOOK_EVENTS.split(',')).map(event => event.trim()).filter(Boolean),
+      campaigns: definition.campaigns || null,
+      templates: definition.templates || {},
+      headers: definition.headers || {}
     };
 
-    return configCache.data;
-  } catch (err) {
-    console.error('[CONFIG_ERROR] Failed to fetch dispenser config:', err.message);
-    logError('config_fetch_error', err, {
-      dispenserAddress: global.NORMALIZED_DISPENSER_ADDRESS
-    });
-    
-    // If we have cached data, use it
-    if (configCache.data) {
-      console.log('Using cached config data');
-      return configCache.data;
+    let validUrl = false;
+    try {
+      validUrl = ['http:', 'https:'].includes(new URL(webhook.url).protocol);
+    } catch {
+      validUrl = false;
     }
-    
-    // Otherwise return defaults
-    return {
-      upvotesRequired: '200',
-      queuedNFTCount: 0,
-      queuedNFTs: [],
-      lastUpdated: 0
-    };
-  }
+    if (!validUrl || !WEBHOOK_FORMATS.includes(webhook.format)) {
+      throw new Error(`Webhook ${webhook.id} needs an http(s) url and a format of ${WEBHOOK_FORMATS.join(' or ')}`);
+    }
+    return webhook;
+  });
 }
 
+function renderTemplate(template, values) {
+  return template.replace(/{{\s*(\w+)\s*}}/g, (match, key) => (values[key] === undefined || values[key] === null ? '' : String(values[key])));
+}
 
+function buildWebhookPayload(webhook, entry) {
+  const template = webhook.templates[entry.action] || DEFAULT_WEBHOOK_TEMPLATES[entry.action] || FALLBACK_WEBHOOK_TEMPLATE;
+  const message = renderTemplate(template, entry);
 
-async function getCurrentTip() {
-  try {
-    return await publicClient.readContract({
+  if (webhook.format === 'discord') {
+    // Never let user-controlled text ping anyone
+    return { content: message.slice(0, 2000), allowed_mentions: { parse: [] } };
+  }
+
+  const { timestamp, action, campaign, ...data } = entry;
+  return { event: action, campaign, timestamp, message, data };
+}
+
+function webhookWants(webhook, entry) {
+  return (webhook.events.includes('*') || webhook.events.includes(entry.action)) &&
+    (!webhook.campaigns || webhook.campaigns.includes(entry.campaign));
+}
+
+function enqueueWebhooks(entry) {
+  let queued = 0;
+  for (const webhook of webhooks) {
+    if (!webhookWants(webhook, entry)) continue;
+
+    const id = `${entry.timestamp}/${webhook.id}/${entry.action}/${Math.random().toString(36).slice(2, 8)}`;
+    webhookQueue.set(id, {
+      id,
+      webhookId: webhook.id,
+      action: entry.action,
+      campaign: entry.campaign,
+      payload: buildWebhookPayload(webhook, entry),
+      attempts: 0,
+      nextAttemptAt: Date.now(),
+      lastError: null,
+      createdAt: Date.now()
+    });
+    queued++;
+  }
+  if (queued === 0) return;
+
+  if (webhookQueue.size > WEBHOOK_QUEUE_LIMIT) {
+    const dropped = Array.from(webhookQueue.keys()).slice(0, webhookQueue.size - WEBHOOK_QUEUE_LIMIT);
+    dropped.forEach(id => webhookQueue.delete(id));
+    logWarning('webhook_queue_overflow', { dropped: dropped.length });
+  }
+  // No saveState here: dispenser actions are logged in the middle of
+  // changes that must commit as one, so the deliveries are only staged and
+  // go out with the caller's (or the next tick's) commit
+  setImmediate(processWebhookQueue);
+}
+
+async function deliverWebhook(webhook, delivery) {
+  const response = await fetch(webhook.url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...webhook.headers },
+    body: JSON.stringify(delivery.payload),
+    signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS)
+  });
+  if (response.ok) return null;
+
+  // Honour rate limits (Discord sends Retry-After in seconds)
+  const retryAfter = parseFloat(response.headers.get('retry-after'));
+  const error = new Error(`HTTP ${response.status}`);
+  error.retryAfterMs = Number.isFinite(retryAfter) ? retryAfter * 1000 : null;
+  error.permanent = response.status >= 400 && response.status < 500 && response.status !== 408 && response.status !== 429;
+  throw error;
+}
+
+async function processWebhookQueue() {
+  if (webhookDelivering || webhookQueue.size === 0) return;
+  webhookDelivering = true;
+
+  try {
+    const now = Date.now();
+    for (const delivery of Array.from(webhookQueue.values()).filter(d => d.nextAttemptAt <= now)) {
+      const webhook = webhooks.find(w => w.id === delivery.webhookId);
+      if (!webhook) {
+        // Webhook removed from config since this was queued
+        webhookQueue.delete(delivery.id);
+        continue;
+      }
+
+      delivery.attempts++;
+      webhookQueue.touch(delivery.id);
+      try {
+        await deliverWebhook(webhook, delivery);
+        webhookQueue.delete(delivery.id);
+        logInfo('webhook_delivered', { webhook: webhook.id, action: delivery.action, attempts: delivery.attempts });
+      } catch (err) {
+        delivery.lastError = err.message;
+        webhookQueue.touch(delivery.id);
+        if (err.permanent || delivery.attempts >= WEBHOOK_MAX_ATTEMPTS) {
+          webhookQueue.delete(delivery.id);
+          console.error(`[WEBHOOK] Dropping ${delivery.action} for webhook ${webhook.id} after ${delivery.attempts} attempt(s): ${err.message}`);
+          logWarning('webhook_dropped', { webhook: webhook.id, action: delivery.action, attempts: delivery.attempts, error: err.message });
+          continue;
+        }
+
+        const backoff = Math.min(WEBHOOK_RETRY_BASE_MS * 2 ** (delivery.attempts - 1), WEBHOOK_RETRY_MAX_MS);
+        delivery.nextAttemptAt = Date.now() + Math.max(backoff, err.retryAfterMs || 0);
+        webhookQueue.touch(delivery.id);
+        logWarning('webhook_retry_scheduled', {
+          webhook: webhook.id,
+          action: delivery.action,
+          attempts: delivery.attempts,
+          retryInMs: delivery.nextAttemptAt - Date.now(),
+          error: err.message
+        });
+      }
+    }
+  } finally {
+    webhookDelivering = false;
+    saveState();
+  }
+}
+
+// ---------------------- CONFIG DRIFT ----------------------
+// Every config refresh compares the dispenser's own settings with the
+// campaign. On a mismatch CONFIG_DRIFT_POLICY decides what happens:
+//   refuse - hold the campaign's awards in the outbox until both agree again
+//   follow - adopt the dispenser's threshold, tracked token and NFT contract
+// A signer that isn't the dispenser owner can't be followed, so those awards
+// are always held. Dry runs simulate as the owner and skip that check.
+function findConfigDrift(campaign, config) {
+  const expected = {
+    upvotesRequired: campaign.requiredUpvotes.toString(),
+    trackedToken: campaign.trackedTokenAddress,
+    nftContract: campaign.nftContractAddress,
+    owner: DRY_RUN ? null : account.address
+  };
+  return Object.entries(expected)
+    .filter(([field, value]) => value !== null && value.toLowerCase() !== config[field].toLowerCase())
+    .map(([field, value]) => ({ field, expected: value, onChain: config[field] }));
+}
+
+function followConfigDrift(campaign, { field, onChain }) {
+  if (field === 'upvotesRequired' && BigInt(onChain) > 0n) {
+    campaign.requiredUpvotes = BigInt(onChain);
+  } else if (field === 'trackedToken') {
+    campaign.trackedTokenAddress = getAddress(onChain);
+  } else if (field === 'nftContract') {
+    campaign.nftContractAddress = getAddress(onChain);
+  } else {
+    return false;
+  }
+  return true;
+}
+
+function checkConfigDrift(campaign, config) {
+  const reported = new Set(campaign.drift.map(({ field, onChain }) => `${field}:${onChain}`));
+  const held = [];
+
+  for (const mismatch of findConfigDrift(campaign, config)) {
+    const followed = CONFIG_DRIFT_POLICY === 'follow' && followConfigDrift(campaign, mismatch);
+    if (!followed) {
+      held.push(mismatch);
+      // Held mismatches are reported once, not on every refresh
+      if (reported.has(`${mismatch.field}:${mismatch.onChain}`)) continue;
+    }
+
+    const resolution = followed ? 'followed' : 'awards_held';
+    console.log(`[DRIFT] Dispenser for campaign ${campaign.id} has ${mismatch.field} ${mismatch.onChain}, expected ${mismatch.expected}. ${followed ? 'Following the dispenser' : 'Holding awards until they match'}`);
+    logWarning('config_drift', { campaign: campaign.id, ...mismatch, policy: CONFIG_DRIFT_POLICY, resolution });
+    logDispenserAction('config_drift', { ...mismatch, policy: CONFIG_DRIFT_POLICY, resolution }, campaign);
+  }
+
+  if (campaign.drift.length > 0 && held.length === 0) {
+    console.log(`[DRIFT] Dispenser for campaign ${campaign.id} matches the bot's config again, resuming awards`);
+    logInfo('config_drift_resolved', { campaign: campaign.id });
+    logDispenserAction('config_drift_resolved', { policy: CONFIG_DRIFT_POLICY }, campaign);
+  }
+  campaign.drift = held;
+  setGauge('config_drift', { campaign: campaign.id }, held.length);
+}
+
+// ---------------------- FUNCTIONS ----------------------
+async function getConfig(campaign) {
+  const { configCache } = campaign;
+  const now = Date.now();
+  if (configCache.timestamp && now - configCache.timestamp < CACHE_TTL_MS) {
+    return configCache.data;
+  }
+
+  try {
+    // Read all contract settings in parallel
+    const [upvotesRequired, trackedToken, nftContract, owner, queuedNFTs] = await Promise.all(
+      ['upvotesRequired', 'trackedToken', 'nftContract', 'owner', 'getQueuedNFTs'].map(functionName =>
+        publicClient.readContract({
+          address: campaign.dispenserAddress,
+          abi: DISPENSER_ABI,
+          functionName
+        })
+      )
+    );
+
+    const config = {
+      upvotesRequired: upvotesRequired.toString(),
+      trackedToken,
+      nftContract,
+      owner,
+      queuedNFTCount: queuedNFTs.length,
+      queuedNFTs: queuedNFTs.map(id => id.toString()),
+      lastUpdated: now
+    };
+
+    // Log threshold changes (always log these)
+    if (configCache.data && configCache.data.upvotesRequired !== config.upvotesRequired) {
+      console.log(`[CONFIG] Upvotes required for campaign ${campaign.id} changed to: ${config.upvotesRequired}`);
+      logDispenserAction('threshold_changed', {
+        oldValue: configCache.data.upvotesRequired,
+        newValue: config.upvotesRequired
+      }, campaign);
+    }
+
+    // Log config updates
+    logInfo('config_updated', { campaign: campaign.id, ...config });
+    
+    // Log dispenser config changes
+    logDispenserAction('config_updated', {
+      upvotesRequired: upvotesRequired.toString(),
+      queuedNFTCount: queuedNFTs.length,
+      queuedNFTs: queuedNFTs.map(id => id.toString())
+    }, campaign);
+
+    // Progress credited while the dispenser was empty can be claimed now
+    if (campaign.rule.mode === 'cumulative' && config.queuedNFTCount > 0 && !(configCache.data?.queuedNFTCount > 0)) {
+      campaign.claimsDue = true;
+    }
+
+    configCache.timestamp = now;
+    configCache.data = config;
+    setGauge('dispenser_inventory', { campaign: campaign.id }, config.queuedNFTCount);
+    checkConfigDrift(campaign, config);
+
+    return configCache.data;
+  } catch (err) {
+    console.error(`[CONFIG_ERROR] Failed to fetch dispenser config for campaign ${campaign.id}:`, err.message);
+    logError('config_fetch_error', err, {
+      campaign: campaign.id,
+      dispenserAddress: campaign.dispenserAddress
+    });
+    
+    // If we have cached data, use it
+    if (configCache.data) {
+      console.log('Using cached config data');
+      return configCache.data;
+    }
+    
+    // Otherwise report nothing known about the dispenser
+    return {
+      upvotesRequired: null,
+      trackedToken: null,
+      nftContract: null,
+      owner: null,
+      queuedNFTCount: 0,
+      queuedNFTs: [],
+      lastUpdated: 0
+    };
+  }
+}
+
+
+
+async function getCurrentTip() {
+  try {
+    return await publicClient.readContract({
       address: NET_PROTOCOL_ADDRESS,
       abi: NET_PROTOCOL_ABI,
       functionName: 'getTotalMessagesForAppCount',
@@ -287,280 +1357,2359 @@ async function getMessages(startIndex, endIndex) {
   }
 }
 
-// Watch Upvoted events directly from the Upvote App
-async function watchUpvotes() {
-  try {
-    const unwatch = await publicClient.watchEvent({
-      address: global.NORMALIZED_UPVOTE_APP_ADDRESS,
-      event: UPVOTE_APP_ABI[0],
-      onLogs: async (logs) => {
-        for (const log of logs) {
-          const id = `${log.transactionHash}:${log.logIndex}`;
-          if (processedLogIds.has(id)) continue;
-
-          const user = log.args.user;
-          const token = (log.args.token || '').toLowerCase();
-          const numUpvotes = BigInt(log.args.numUpvotes);
-
-          // Only tracked token and exactly required upvotes in a single tx
-          if (token !== global.NORMALIZED_TRACKED_TOKEN_ADDRESS.toLowerCase()) continue;
-          if (numUpvotes !== REQUIRED_UPVOTES) continue;
-
-          // Mark processed preemptively to avoid re-entry
-          processedLogIds.add(id);
-
-          logInfo('upvote_event_seen', {
-            user,
-            token,
-            numUpvotes: numUpvotes.toString(),
-            txHash: log.transactionHash,
-            blockNumber: log.blockNumber?.toString(),
-            basescanTx: `https://basescan.org/tx/${log.transactionHash}`
-          });
-
-          // Check inventory
-          const { queuedNFTCount } = await getConfig();
-          if (!queuedNFTCount || queuedNFTCount === 0) {
-            console.log(`[DISPENSER] Out of NFTs! User ${user} upvoted ${REQUIRED_UPVOTES.toString()} times but no inventory available.`);
-            logWarning('dispenser_depleted', {
-              user,
-              txHash: log.transactionHash,
-              blockNumber: log.blockNumber?.toString()
-            });
-            logDispenserAction('inventory_depleted', {
-              user,
-              sourceTx: log.transactionHash,
-              sourceBasescan: `https://basescan.org/tx/${log.transactionHash}`,
-              note: `User upvoted ${REQUIRED_UPVOTES.toString()} times but no NFTs available`
-            });
-            continue;
+// Serialize log handling so the watcher, the startup backfill and the
+// confirmation pass never interleave awards (viem does not await onLogs
+// between polls)
+let taskQueue = Promise.resolve();
+
+function enqueueTask(task, source) {
+  taskQueue = taskQueue
+    .then(task)
+    .catch((err) => {
+      console.error('[TASK_QUEUE_ERROR] Failed to process queued task:', err.message);
+      logError('task_queue_error', err, { source });
+    });
+  return taskQueue;
+}
+
+function enqueueLogs(logs, source) {
+  return enqueueTask(async () => {
+    for (const log of logs) {
+      await processUpvoteLog(log, source);
+    }
+  }, source);
+}
+
+// Flatten a viem log into a JSON-safe event we can hold across restarts
+function toUpvoteEvent(log) {
+  return {
+    id: `${log.transactionHash}:${log.logIndex}`,
+    user: log.args.user,
+    token: (log.args.token || '').toLowerCase(),
+    numUpvotes: BigInt(log.args.numUpvotes).toString(),
+    txHash: log.transactionHash,
+    logIndex: log.logIndex,
+    blockNumber: log.blockNumber?.toString(),
+    blockHash: log.blockHash
+  };
+}
+
+async function processUpvoteLog(log, source = 'watcher') {
+  const id = `${log.transactionHash}:${log.logIndex}`;
+
+  if (log.removed) {
+    handleRemovedLog(id, log);
+    return;
+  }
+
+  if (processedLogIds.has(id) || seenLogIds.has(id)) return;
+
+  const event = toUpvoteEvent(log);
+  incCounter('upvote_events_seen_total');
+
+  // Track last processed block for every log we have looked at
+  if (log.blockNumber && BigInt(log.blockNumber) > lastProcessedBlock) {
+    lastProcessedBlock = BigInt(log.blockNumber);
+  }
+
+  const matched = matchCampaigns(event);
+  if (matched.length === 0) {
+    seenLogIds.set(id, BigInt(log.blockNumber ?? lastProcessedBlock));
+    return;
+  }
+  for (const { campaign } of matched) {
+    incCounter('upvotes_qualified_total', { campaign: campaign.id });
+  }
+
+  // Mark processed preemptively to avoid re-entry
+  processedLogIds.add(id);
+
+  logInfo('upvote_event_seen', {
+    user: event.user,
+    token: event.token,
+    numUpvotes: event.numUpvotes,
+    txHash: event.txHash,
+    blockNumber: event.blockNumber,
+    source,
+    campaigns: matched.map(({ campaign, awards }) => `${campaign.id}:${awards}`),
+    confirmationsRequired: CONFIRMATIONS.toString(),
+    basescanTx: `https://basescan.org/tx/${event.txHash}`
+  });
+
+  // Hold until the event is CONFIRMATIONS blocks deep
+  pendingEvents.set(id, event);
+}
+
+function pruneSeenLogIds() {
+  for (const [id, blockNumber] of seenLogIds) {
+    if (blockNumber + SEEN_LOG_WINDOW_BLOCKS < lastProcessedBlock) seenLogIds.delete(id);
+  }
+}
+
+// A log the node has retracted because its block was reorged out
+function handleRemovedLog(id, log) {
+  const pending = pendingEvents.get(id);
+  if (pending) {
+    discardReorgedEvent(pending, 'removed_log');
+    return;
+  }
+
+  for (const awarded of Array.from(awardedEvents.values())) {
+    if ((awarded.eventIds || [awarded.eventId]).includes(id)) {
+      flagReorgedAward(awarded, id, 'removed_log');
+    }
+  }
+}
+
+// Report an award whose source upvote is gone. The award is forgotten once
+// flagged, so the WebSocket and the receipt check don't both report it.
+function flagReorgedAward(awarded, id, reason) {
+  awardedEvents.delete(awarded.id);
+  const campaign = getCampaign(awarded.campaignId);
+  if (!campaign) return;
+
+  console.log(`[REORG] Upvote ${id} was reorged out after it was awarded by campaign ${campaign.id}! Dispenser tx: ${awarded.dispenserTx}`);
+  logWarning('reorged_after_award', {
+    campaign: campaign.id,
+    user: awarded.user,
+    sourceTx: awarded.txHash,
+    blockNumber: awarded.blockNumber,
+    dispenserTx: awarded.dispenserTx,
+    reason
+  });
+  logDispenserAction('reorged_after_award', {
+    user: awarded.user,
+    amount: awarded.amount,
+    sourceTx: awarded.txHash,
+    sourceBlock: awarded.blockNumber,
+    dispenserTx: awarded.dispenserTx,
+    sourceBasescan: `https://basescan.org/tx/${awarded.txHash}`,
+    dispenserBasescan: `https://basescan.org/tx/${awarded.dispenserTx}`,
+    reason,
+    note: 'Source upvote was reorged out after the NFT award was sent'
+  }, campaign);
+}
+
+// Removed logs only arrive over a live WebSocket subscription, so the
+// source receipts of recent awards are also re-checked directly. This
+// covers HTTP polling and anything missed across a restart. A lagging
+// endpoint can return nothing for a mined tx, and a cumulative batch doesn't
+// keep the block of every upvote in it, so a source only counts as reorged
+// once its receipt is missing AWARD_REORG_MISS_CHECKS checks in a row.
+async function checkAwardedSources() {
+  if (Date.now() - lastAwardReorgCheck < AWARD_REORG_CHECK_MS) return;
+  lastAwardReorgCheck = Date.now();
+  pruneAwardedEvents();
+
+  const receipts = new Map(); // txHash -> receipt or null
+  for (const awarded of Array.from(awardedEvents.values())) {
+    try {
+      const missing = [];
+      for (const id of awarded.eventIds || [awarded.eventId]) {
+        const [txHash, logIndex] = id.split(':');
+        if (!receipts.has(txHash)) {
+          try {
+            receipts.set(txHash, await publicClient.getTransactionReceipt({ hash: txHash }));
+          } catch (err) {
+            if (err.name !== 'TransactionReceiptNotFoundError') throw err;
+            receipts.set(txHash, null);
           }
+        }
+
+        // A re-inclusion in another block is fine, the upvote still happened
+        const receipt = receipts.get(txHash);
+        const sourceLog = receipt?.logs.find(l =>
+          l.address.toLowerCase() === global.NORMALIZED_UPVOTE_APP_ADDRESS.toLowerCase() &&
+          l.logIndex === Number(logIndex)
+        );
+        if (!sourceLog) {
+          missing.push({ id, reason: receipt ? 'source_log_missing' : 'source_tx_missing' });
+        }
+      }
+
+      const misses = missing.length > 0 ? (awarded.receiptMisses || 0) + 1 : 0;
+      if (misses >= AWARD_REORG_MISS_CHECKS) {
+        flagReorgedAward(awarded, missing[0].id, missing[0].reason);
+      } else if (misses !== (awarded.receiptMisses || 0)) {
+        awarded.receiptMisses = misses;
+        awardedEvents.touch(awarded.id);
+      }
+    } catch (err) {
+      console.error(`[REORG] Failed to re-check the source of award ${awarded.id}:`, err.message);
+      logError('award_source_check_error', err, { id: awarded.id, sourceTx: awarded.txHash });
+    }
+  }
+  saveState();
+}
+
+function discardReorgedEvent(event, reason) {
+  pendingEvents.delete(event.id);
+  // Forget the id so the upvote is picked up again if the tx is re-included
+  processedLogIds.delete(event.id);
+
+  console.log(`[REORG] Discarded upvote ${event.id} from ${event.user} (${reason})`);
+  logWarning('upvote_event_reorged', {
+    user: event.user,
+    txHash: event.txHash,
+    blockNumber: event.blockNumber,
+    blockHash: event.blockHash,
+    reason
+  });
+  for (const { campaign } of matchCampaigns(event)) {
+    logDispenserAction('upvote_discarded', {
+      user: event.user,
+      amount: event.numUpvotes,
+      sourceTx: event.txHash,
+      sourceBlock: event.blockNumber,
+      sourceBasescan: `https://basescan.org/tx/${event.txHash}`,
+      reason,
+      note: 'Upvote was reorged out before it reached the confirmation depth'
+    }, campaign);
+  }
+}
+
+// A missing receipt alone doesn't prove a reorg: behind the fallback
+// transport, an endpoint that lags the chain returns nothing for txs it
+// hasn't seen yet. The source is only gone once its block has been replaced.
+async function isSourceBlockReplaced({ blockNumber, blockHash }) {
+  try {
+    const block = await publicClient.getBlock({ blockNumber: BigInt(blockNumber) });
+    return block.hash !== blockHash;
+  } catch (err) {
+    if (err.name === 'BlockNotFoundError') return false;
+    throw err;
+  }
+}
+
+// Award held events once they are CONFIRMATIONS deep, re-checking the
+// source receipt so anything dropped by a reorg is discarded instead
+async function confirmPendingEvents() {
+  if (pendingEvents.size === 0) return;
+
+  const head = await publicClient.getBlockNumber();
+
+  for (const event of Array.from(pendingEvents.values())) {
+    if (BigInt(event.blockNumber) + CONFIRMATIONS > head) continue;
+
+    let receipt = null;
+    try {
+      receipt = await publicClient.getTransactionReceipt({ hash: event.txHash });
+    } catch (err) {
+      if (err.name !== 'TransactionReceiptNotFoundError') throw err;
+    }
+
+    const sourceLog = receipt?.logs.find(l =>
+      l.address.toLowerCase() === global.NORMALIZED_UPVOTE_APP_ADDRESS.toLowerCase() &&
+      l.logIndex === event.logIndex
+    );
+    if (!sourceLog) {
+      const reason = receipt ? 'source_log_missing' : 'source_tx_missing';
+      if (await isSourceBlockReplaced(event)) {
+        discardReorgedEvent(event, reason);
+      } else if (!event.receiptMissedAt) {
+        // Probably an endpoint that hasn't caught up; try again next pass
+        console.log(`[REORG] Receipt for upvote ${event.id} not found (${reason}) but block ${event.blockNumber} is unchanged, retrying`);
+        logWarning('upvote_receipt_missing', { txHash: event.txHash, blockNumber: event.blockNumber, reason });
+        event.receiptMissedAt = Date.now();
+        pendingEvents.touch(event.id);
+      }
+      continue;
+    }
+
+    // Re-included in a different block: wait for the new block to be deep enough
+    if (receipt.blockHash !== event.blockHash) {
+      logInfo('upvote_event_reincluded', {
+        txHash: event.txHash,
+        oldBlock: event.blockNumber,
+        newBlock: receipt.blockNumber.toString()
+      });
+      event.blockNumber = receipt.blockNumber.toString();
+      event.blockHash = receipt.blockHash;
+      pendingEvents.touch(event.id);
+      continue;
+    }
+
+    // Read every matched dispenser before changing anything. If one can't
+    // be read yet, the event stays pending for the next pass rather than
+    // being judged on the empty fallback config.
+    const matches = matchCampaigns(event);
+    const configs = [];
+    for (const match of matches) {
+      configs.push(await getConfig(match.campaign));
+    }
+    if (configs.some(config => !config.lastUpdated)) continue;
+
+    // Queue every campaign's awards and drop the pending event in a single
+    // commit, so a crash can't lose the event between the two
+    matches.forEach((match, i) => awardUpvoteEvent(event, match, configs[i]));
+    pendingEvents.delete(event.id);
+    saveState();
+  }
+}
+
+// Synchronous on purpose: the caller commits the outbox entries together
+// with the removal of the pending event
+function awardUpvoteEvent(event, { campaign, awards: earned, rule }, { queuedNFTCount }) {
+  const { user } = event;
+  const amount = campaign.requiredUpvotes.toString();
+
+  // Cumulative campaigns forward upvotes even while the dispenser is empty,
+  // so users keep their progress; claimLedgerBalances sends the NFTs it has
+  // earned once the dispenser is restocked
+  if (campaign.rule.mode === 'cumulative') {
+    creditLedger(event, campaign, queuedNFTCount);
+    return;
+  }
+
+  console.log(`[RULES] ${user} upvoted ${event.numUpvotes} times: ${earned} award(s) in campaign ${campaign.id} by rule ${rule}`);
+  logDispenserAction('award_decision', {
+    user,
+    numUpvotes: event.numUpvotes,
+    rule,
+    awards: earned,
+    amountPerAward: amount,
+    sourceTx: event.txHash,
+    sourceBasescan: `https://basescan.org/tx/${event.txHash}`
+  }, campaign);
+
+  // Check inventory
+  if (!queuedNFTCount || queuedNFTCount === 0) {
+    incCounter('inventory_depleted_total', { campaign: campaign.id });
+    console.log(`[DISPENSER] Out of NFTs in campaign ${campaign.id}! User ${user} upvoted ${amount} times but no inventory available.`);
+    logWarning('dispenser_depleted', {
+      campaign: campaign.id,
+      user,
+      txHash: event.txHash,
+      blockNumber: event.blockNumber
+    });
+    logDispenserAction('inventory_depleted', {
+      user,
+      sourceTx: event.txHash,
+      sourceBasescan: `https://basescan.org/tx/${event.txHash}`,
+      note: `User upvoted ${event.numUpvotes} times but no NFTs available`
+    }, campaign);
+    return;
+  }
+
+  // Awards past the inventory would only credit upvotes and burn gas, and
+  // a huge upvote must not turn into thousands of outbox entries
+  const awards = Math.min(earned, queuedNFTCount, MAX_AWARDS_PER_EVENT);
+  if (awards < earned) {
+    const reason = queuedNFTCount < MAX_AWARDS_PER_EVENT ? 'inventory' : 'max_per_event';
+    console.log(`[RULES] Capping ${user} at ${awards} of ${earned} award(s) in campaign ${campaign.id} (${reason})`);
+    logWarning('awards_capped', {
+      campaign: campaign.id,
+      user,
+      earned,
+      awards,
+      reason,
+      sourceTx: event.txHash
+    });
+    logDispenserAction('awards_capped', {
+      user,
+      numUpvotes: event.numUpvotes,
+      rule,
+      earned,
+      awards,
+      excess: earned - awards,
+      reason,
+      queuedNFTCount,
+      maxAwardsPerEvent: MAX_AWARDS_PER_EVENT,
+      sourceTx: event.txHash,
+      sourceBasescan: `https://basescan.org/tx/${event.txHash}`,
+      note: 'Awards past the cap were not queued'
+    }, campaign);
+  }
+
+  // One outbox entry per award, each crediting the campaign's required
+  // upvotes. The first keeps the plain id so single awards look as before.
+  const now = Date.now();
+  for (let i = 0; i < awards; i++) {
+    const id = i === 0 ? `${campaign.id}/${event.id}` : `${campaign.id}/${event.id}#${i + 1}`;
+    awardOutbox.set(id, {
+      id,
+      campaignId: campaign.id,
+      eventId: event.id,
+      user,
+      amount,
+      rule,
+      sourceTx: event.txHash,
+      sourceBlock: event.blockNumber,
+      sourceBlockHash: event.blockHash,
+      status: 'pending',
+      attempts: 0,
+      nextAttemptAt: now,
+      lastError: null,
+      dispenserTx: null,
+      inventoryBefore: queuedNFTCount.toString(),
+      createdAt: now,
+      updatedAt: now
+    });
+  }
+
+  logInfo('award_queued', {
+    campaign: campaign.id,
+    user,
+    amount,
+    awards,
+    rule,
+    sourceTx: event.txHash
+  });
+}
+
+// ---------------------- UPVOTE LEDGER ----------------------
+// Cumulative campaigns keep a running tally per user. Upvotes are batched
+// here until a user's unsent total reaches rule.batchMin (or the batch gets
+// older than rule.batchMaxAgeMs) and then forwarded as one addUpvotes call.
+// expectedOnChain is what userUpvotes should read once our awards land; it
+// is checked against the dispenser every LEDGER_RECONCILE_MS.
+//
+// addUpvotes hands out at most one NFT per call, so a balance can be left at
+// or over the threshold: a batch worth two NFTs, or progress credited while
+// the dispenser was empty. Such balances are claimed with follow-up
+// addUpvotes(user, 0) awards, one at a time, while the dispenser has stock.
+function getLedgerEntry(campaign, user) {
+  const key = `${campaign.id}/${user.toLowerCase()}`;
+  let entry = upvoteLedger.get(key);
+  if (!entry) {
+    entry = {
+      key,
+      campaignId: campaign.id,
+      user,
+      received: '0',
+      forwarded: '0',
+      batched: '0',
+      batchEventIds: [],
+      batchSince: null,
+      batchSource: null,
+      nftsAwarded: 0,
+      expectedOnChain: null,
+      onChain: null,
+      reconciledAt: null,
+      updatedAt: Date.now()
+    };
+    upvoteLedger.set(key, entry);
+  }
+  return entry;
+}
+
+function creditLedger(event, campaign, queuedNFTCount) {
+  const entry = getLedgerEntry(campaign, event.user);
+  const numUpvotes = BigInt(event.numUpvotes);
+
+  entry.received = (BigInt(entry.received) + numUpvotes).toString();
+  entry.batched = (BigInt(entry.batched) + numUpvotes).toString();
+  entry.batchEventIds.push(event.id);
+  entry.batchSince = entry.batchSince || Date.now();
+  entry.batchSource = { txHash: event.txHash, blockNumber: event.blockNumber, blockHash: event.blockHash };
+  entry.updatedAt = Date.now();
+  upvoteLedger.touch(entry.key);
+
+  logInfo('upvotes_ledgered', {
+    campaign: campaign.id,
+    user: event.user,
+    numUpvotes: event.numUpvotes,
+    batched: entry.batched,
+    received: entry.received,
+    sourceTx: event.txHash
+  });
+
+  if (BigInt(entry.batched) >= campaign.rule.batchMin) {
+    flushLedgerBatch(entry, campaign, 'batch_min', queuedNFTCount);
+  }
+}
+
+// Turn a user's batched upvotes into a single outbox entry. Synchronous so
+// the entry and the emptied batch always land in the same commit.
+function flushLedgerBatch(entry, campaign, reason, queuedNFTCount) {
+  const eventIds = entry.batchEventIds;
+  const lastEventId = eventIds[eventIds.length - 1];
+  const now = Date.now();
+
+  const id = `${campaign.id}/${lastEventId}`;
+  awardOutbox.set(id, {
+    id,
+    campaignId: campaign.id,
+    eventId: lastEventId,
+    eventIds,
+    user: entry.user,
+    amount: entry.batched,
+    rule: 'cumulative',
+    sourceTx: entry.batchSource.txHash,
+    sourceBlock: entry.batchSource.blockNumber,
+    sourceBlockHash: entry.batchSource.blockHash,
+    status: 'pending',
+    attempts: 0,
+    nextAttemptAt: now,
+    lastError: null,
+    dispenserTx: null,
+    inventoryBefore: (queuedNFTCount ?? 0).toString(),
+    createdAt: now,
+    updatedAt: now
+  });
+
+  console.log(`[LEDGER] Forwarding ${entry.batched} upvotes from ${eventIds.length} tx(s) for ${entry.user} in campaign ${campaign.id}`);
+  logDispenserAction('upvotes_forwarded', {
+    user: entry.user,
+    amount: entry.batched,
+    events: eventIds.length,
+    reason,
+    received: entry.received,
+    sourceTx: entry.batchSource.txHash,
+    sourceBasescan: `https://basescan.org/tx/${entry.batchSource.txHash}`
+  }, campaign);
+
+  entry.batched = '0';
+  entry.batchEventIds = [];
+  entry.batchSince = null;
+  entry.batchSource = null;
+  entry.updatedAt = now;
+  upvoteLedger.touch(entry.key);
+}
+
+async function flushDueBatches() {
+  const now = Date.now();
+  let flushed = false;
+
+  for (const entry of upvoteLedger.values()) {
+    const campaign = getCampaign(entry.campaignId);
+    if (!campaign || campaign.rule.mode !== 'cumulative') continue;
+    if (BigInt(entry.batched) === 0n || now - entry.batchSince < campaign.rule.batchMaxAgeMs) continue;
+
+    const { queuedNFTCount } = await getConfig(campaign);
+    flushLedgerBatch(entry, campaign, 'max_age', queuedNFTCount);
+    flushed = true;
+  }
+
+  if (flushed) saveState();
+}
+
+// Called once a forwarded batch is mined; the balance is read at the
+// receipt's block so later awards can't blur it
+async function settleLedgerAward(outboxEntry, campaign, result) {
+  const entry = getLedgerEntry(campaign, outboxEntry.user);
+  const balance = await checkUserUpvotes(campaign, outboxEntry.user, BigInt(result.blockNumber));
+  const config = await getConfig(campaign);
+
+  entry.forwarded = (BigInt(entry.forwarded) + BigInt(result.upvotesCredited ?? outboxEntry.amount)).toString();
+  if (result.tokenId) entry.nftsAwarded++;
+  if (balance !== null) entry.expectedOnChain = balance.toString();
+  entry.lastAwardTx = outboxEntry.dispenserTx;
+  entry.lastAwardBlock = result.blockNumber;
+  entry.updatedAt = Date.now();
+  upvoteLedger.touch(entry.key);
+
+  // A claim that mined without an NFT means the cached inventory was stale;
+  // the next restock picks the balance up instead of retrying right away
+  const claimFailed = outboxEntry.claim && !result.tokenId;
+  if (balance !== null && config.lastUpdated && !claimFailed && canClaimLedgerBalance(balance, config)) {
+    queueLedgerClaim(campaign, entry, 'balance_over_threshold');
+  }
+  saveState();
+
+  return balance;
+}
+
+function canClaimLedgerBalance(balance, { upvotesRequired, queuedNFTCount }) {
+  return queuedNFTCount > 0 && BigInt(upvotesRequired) > 0n && balance >= BigInt(upvotesRequired);
+}
+
+// Queue an addUpvotes(user, 0) award that only claims the balance already on
+// chain. Skipped while the user has another award pending or in flight,
+// since settling that one re-checks the balance anyway.
+function queueLedgerClaim(campaign, entry, reason) {
+  const user = entry.user.toLowerCase();
+  const busy = Array.from(awardOutbox.values()).some(other =>
+    other.campaignId === campaign.id && other.user.toLowerCase() === user && ['pending', 'submitted'].includes(other.status)
+  );
+  if (busy) return;
+
+  entry.claims = (entry.claims || 0) + 1;
+  upvoteLedger.touch(entry.key);
+  const id = `${campaign.id}/claim:${user}:${entry.claims}`;
+  const now = Date.now();
+  awardOutbox.set(id, {
+    id,
+    campaignId: campaign.id,
+    eventId: id,
+    eventIds: [], // no upvote of its own to watch for reorgs
+    user: entry.user,
+    amount: '0',
+    rule: 'cumulative',
+    claim: reason,
+    sourceTx: entry.lastAwardTx ?? null,
+    sourceBlock: entry.lastAwardBlock ?? lastProcessedBlock.toString(),
+    sourceBlockHash: null,
+    status: 'pending',
+    attempts: 0,
+    nextAttemptAt: now,
+    lastError: null,
+    dispenserTx: null,
+    inventoryBefore: null,
+    createdAt: now,
+    updatedAt: now
+  });
+
+  console.log(`[LEDGER] ${entry.user} has ${entry.expectedOnChain} upvotes on chain in campaign ${campaign.id}, claiming an NFT (${reason})`);
+  logDispenserAction('ledger_claim_queued', {
+    user: entry.user,
+    balance: entry.expectedOnChain,
+    reason,
+    note: 'Claiming an NFT for upvotes already credited on chain'
+  }, campaign);
+}
+
+// Run after a cumulative dispenser goes from empty (or unknown, at startup)
+// to stocked: every user the ledger expects at or over the threshold is
+// checked on chain and gets a claim queued
+async function claimLedgerBalances() {
+  for (const campaign of campaigns) {
+    if (!campaign.claimsDue) continue;
+    const config = await getConfig(campaign);
+    if (!config.lastUpdated) continue;
+    campaign.claimsDue = false;
+
+    for (const entry of Array.from(upvoteLedger.values())) {
+      if (entry.campaignId !== campaign.id || entry.expectedOnChain === null) continue;
+      if (!canClaimLedgerBalance(BigInt(entry.expectedOnChain), config)) continue;
+
+      const balance = await checkUserUpvotes(campaign, entry.user);
+      if (balance === null) {
+        campaign.claimsDue = true; // try the rest again next pass
+        continue;
+      }
+      entry.expectedOnChain = balance.toString();
+      upvoteLedger.touch(entry.key);
+      if (canClaimLedgerBalance(balance, config)) {
+        queueLedgerClaim(campaign, entry, 'restocked');
+      }
+    }
+    saveState();
+  }
+}
+
+// Compare each settled ledger entry with the dispenser's userUpvotes. Users
+// with awards still in the outbox are skipped until those land.
+async function reconcileLedger() {
+  if (Date.now() - lastLedgerReconcile < LEDGER_RECONCILE_MS) return;
+  lastLedgerReconcile = Date.now();
+
+  const busy = new Set();
+  for (const outboxEntry of awardOutbox.values()) {
+    if (outboxEntry.status === 'pending' || outboxEntry.status === 'submitted') {
+      busy.add(`${outboxEntry.campaignId}/${outboxEntry.user.toLowerCase()}`);
+    }
+  }
+
+  let mismatches = 0;
+  for (const entry of upvoteLedger.values()) {
+    const campaign = getCampaign(entry.campaignId);
+    if (!campaign || busy.has(entry.key)) continue;
+
+    const onChain = await checkUserUpvotes(campaign, entry.user);
+    if (onChain === null) continue;
+
+    if (entry.expectedOnChain !== null && onChain.toString() !== entry.expectedOnChain) {
+      mismatches++;
+      console.log(`[LEDGER] ${entry.user} has ${onChain.toString()} upvotes on chain in campaign ${campaign.id}, ledger expected ${entry.expectedOnChain}`);
+      logDispenserAction('ledger_mismatch', {
+        user: entry.user,
+        expected: entry.expectedOnChain,
+        onChain: onChain.toString(),
+        forwarded: entry.forwarded,
+        received: entry.received,
+        note: 'Dispenser userUpvotes differs from the local ledger; adopting the on-chain value'
+      }, campaign);
+    }
+
+    entry.onChain = onChain.toString();
+    entry.expectedOnChain = onChain.toString();
+    entry.reconciledAt = Date.now();
+    upvoteLedger.touch(entry.key);
+  }
+
+  logInfo('ledger_reconciled', { users: upvoteLedger.size, mismatches });
+  saveState();
+}
+
+// ---------------------- INVENTORY ----------------------
+// Low-water marks alert before the dispenser runs dry. Each mark fires once
+// on the way down and re-arms when a restock lifts inventory above it. The
+// forecast divides inventory by the NFT award rate over the last
+// INVENTORY_FORECAST_WINDOW_HOURS, taken from confirmed outbox entries.
+function parseLowWaterMarks(value) {
+  const marks = (Array.isArray(value) ? value : String(value).split(','))
+    .map(mark => String(mark).trim())
+    .filter(Boolean)
+    .map(mark => parseInt(mark));
+  if (marks.some(mark => !(mark > 0))) {
+    throw new Error(`low-water marks must be positive integers, got ${JSON.stringify(value)}`);
+  }
+  return Array.from(new Set(marks)).sort((a, b) => b - a);
+}
+
+function getInventoryForecast(campaign, queuedNFTCount) {
+  const windowMs = INVENTORY_FORECAST_WINDOW_HOURS * 60 * 60 * 1000;
+  const since = Date.now() - windowMs;
+
+  let awardsInWindow = 0;
+  for (const entry of awardOutbox.values()) {
+    if (entry.campaignId !== campaign.id || !entry.nftDelivered) continue;
+    if ((entry.confirmedAt || entry.updatedAt) >= since) awardsInWindow++;
+  }
+
+  const awardsPerHour = awardsInWindow / INVENTORY_FORECAST_WINDOW_HOURS;
+  const hoursToDepletion = awardsPerHour > 0 ? queuedNFTCount / awardsPerHour : null;
+  return {
+    queuedNFTCount,
+    awardsInWindow,
+    windowHours: INVENTORY_FORECAST_WINDOW_HOURS,
+    awardsPerHour: Number(awardsPerHour.toFixed(3)),
+    hoursToDepletion: hoursToDepletion === null ? null : Number(hoursToDepletion.toFixed(1)),
+    depletionAt: hoursToDepletion === null ? null : new Date(Date.now() + hoursToDepletion * 60 * 60 * 1000).toISOString()
+  };
+}
+
+function describeForecast(forecast) {
+  if (forecast.hoursToDepletion === null) {
+    return `no NFTs awarded in the last ${forecast.windowHours}h`;
+  }
+  return `about ${forecast.hoursToDepletion}h left at ${forecast.awardsPerHour} awards/h (empty around ${forecast.depletionAt})`;
+}
+
+function checkInventory(campaign, queuedNFTCount) {
+  const forecast = getInventoryForecast(campaign, queuedNFTCount);
+  setGauge('inventory_hours_remaining', { campaign: campaign.id }, forecast.hoursToDepletion ?? -1);
+
+  const breached = campaign.lowWaterMarks.filter(mark => queuedNFTCount <= mark);
+  const lowest = breached.length > 0 ? Math.min(...breached) : null;
+  const alerted = campaign.inventoryAlert.mark;
+
+  if (lowest === null) {
+    if (alerted !== null) {
+      console.log(`[INVENTORY] Campaign ${campaign.id} restocked to ${queuedNFTCount} NFTs`);
+      logDispenserAction('inventory_restocked', { queuedNFTCount, ...forecast }, campaign);
+    }
+    campaign.inventoryAlert.mark = null;
+    return forecast;
+  }
+
+  if (alerted === null || lowest < alerted) {
+    const forecastText = describeForecast(forecast);
+    console.log(`[INVENTORY] Campaign ${campaign.id} is down to ${queuedNFTCount} NFTs (low-water mark ${lowest}), ${forecastText}`);
+    logWarning('inventory_low', { campaign: campaign.id, mark: lowest, ...forecast });
+    logDispenserAction('inventory_low', {
+      mark: lowest,
+      ...forecast,
+      forecastText,
+      note: 'Restock the dispenser before users hit inventory_depleted'
+    }, campaign);
+  }
+  // A partial restock re-arms the lower marks
+  campaign.inventoryAlert.mark = lowest;
+  return forecast;
+}
+
+// ---------------------- NONCE MANAGER ----------------------
+// Nonces are assigned locally so several award txs can be in flight at once
+// without waiting on the node to pick one. The chain's pending count is the
+// source of truth whenever we (re)start or a send fails.
+const nonceManager = {
+  next: null
+};
+
+async function syncNonce(reason) {
+  const pendingCount = await publicClient.getTransactionCount({
+    address: account.address,
+    blockTag: 'pending'
+  });
+  const previous = nonceManager.next;
+  nonceManager.next = pendingCount;
+
+  logInfo('nonce_synced', {
+    reason,
+    previous: previous === null ? null : previous.toString(),
+    next: pendingCount.toString()
+  });
+  return pendingCount;
+}
+
+async function allocateNonce() {
+  if (nonceManager.next === null) {
+    await syncNonce('first_use');
+  }
+  return nonceManager.next++;
+}
+
+// Line the outbox up with the chain after a restart: submitted awards whose
+// tx is neither mined nor known to the node never made it out and are sent
+// again with a fresh nonce
+async function reconcileNonces() {
+  const [latestCount, pendingCount] = await Promise.all([
+    publicClient.getTransactionCount({ address: account.address, blockTag: 'latest' }),
+    syncNonce('startup')
+  ]);
+
+  let resubmit = 0;
+  let inFlight = 0;
+  for (const entry of awardOutbox.values()) {
+    if (entry.status !== 'submitted') continue;
+
+    let tx = null;
+    for (const hash of [...getAwardTxHashes(entry), entry.cancelTx].filter(Boolean)) {
+      try {
+        tx = await publicClient.getTransaction({ hash });
+        break;
+      } catch (err) {
+        if (err.name !== 'TransactionNotFoundError') throw err;
+      }
+    }
+
+    if (tx) {
+      inFlight++;
+      continue;
+    }
+
+    resubmit++;
+    logWarning('award_tx_dropped', {
+      user: entry.user,
+      sourceTx: entry.sourceTx,
+      dispenserTx: entry.dispenserTx,
+      nonce: entry.nonce?.toString()
+    });
+    updateOutboxEntry(entry, {
+      status: 'pending',
+      dispenserTx: null,
+      replacedTxs: [],
+      cancelTx: null,
+      nonce: null,
+      lastError: 'Award tx not found after restart',
+      nextAttemptAt: Date.now()
+    });
+  }
+
+  console.log(`[NONCE] Next nonce ${pendingCount} (${pendingCount - latestCount} pending on chain), ${inFlight} award(s) in flight, ${resubmit} to resubmit`);
+  logInfo('nonce_reconciled', {
+    latestCount: latestCount.toString(),
+    pendingCount: pendingCount.toString(),
+    inFlight: inFlight.toString(),
+    resubmit: resubmit.toString()
+  });
+}
+
+function isNonceError(err) {
+  return err instanceof BaseError &&
+    Boolean(err.walk(e => e instanceof NonceTooLowError || e instanceof NonceTooHighError));
+}
+
+// ---------------------- FEES ----------------------
+// Awards are sent as EIP-1559 txs: a fixed priority fee on top of the current
+// base fee, never above MAX_FEE_PER_GAS. Txs that sit unmined for
+// REPLACE_AFTER_MS are replaced on the same nonce with bumped fees; if the
+// bump would break the cap, FEE_CAP_POLICY decides between alerting and
+// cancelling the stuck tx.
+async function getAwardFees() {
+  const block = await publicClient.getBlock({ blockTag: 'latest' });
+  const baseFee = block.baseFeePerGas ?? 0n;
+  const maxPriorityFeePerGas = PRIORITY_FEE_PER_GAS;
+  const wanted = baseFee * 2n + maxPriorityFeePerGas;
+
+  return {
+    baseFee,
+    maxPriorityFeePerGas,
+    maxFeePerGas: wanted < MAX_FEE_PER_GAS ? wanted : MAX_FEE_PER_GAS,
+    capExceeded: baseFee + maxPriorityFeePerGas > MAX_FEE_PER_GAS
+  };
+}
+
+function bumpFee(value, percent = FEE_BUMP_PERCENT) {
+  return (BigInt(value) * BigInt(100 + percent) + 99n) / 100n;
+}
+
+function alertFeeCap(entry, context) {
+  console.log(`[FEES] Fee cap of ${formatGwei(MAX_FEE_PER_GAS)} gwei would be exceeded for award to ${entry.user} (${context.reason})`);
+  logWarning('fee_cap_exceeded', {
+    user: entry.user,
+    sourceTx: entry.sourceTx,
+    dispenserTx: entry.dispenserTx,
+    maxFeePerGasCap: MAX_FEE_PER_GAS.toString(),
+    policy: FEE_CAP_POLICY,
+    ...context
+  });
+}
+
+// Every hash that could still mine for this award: the live tx plus the
+// ones it replaced
+function getAwardTxHashes(entry) {
+  return [entry.dispenserTx, ...(entry.replacedTxs || [])].filter(Boolean);
+}
+
+async function getReceiptIfMined(hash) {
+  try {
+    return await publicClient.getTransactionReceipt({ hash });
+  } catch (err) {
+    if (err.name === 'TransactionReceiptNotFoundError') return null;
+    throw err;
+  }
+}
+
+async function replaceStuckAward(entry) {
+  const campaign = getCampaign(entry.campaignId);
+  const maxPriorityFeePerGas = bumpFee(entry.maxPriorityFeePerGas);
+  const maxFeePerGas = bumpFee(entry.maxFeePerGas);
+  const nonce = Number(entry.nonce);
+
+  if (maxFeePerGas > MAX_FEE_PER_GAS) {
+    if (FEE_CAP_POLICY === 'cancel') {
+      await cancelStuckAward(entry);
+    } else {
+      holdStuckAward(entry, 'stuck_tx_replacement', maxFeePerGas);
+    }
+    return;
+  }
+
+  const hash = await walletClient.writeContract({
+    address: campaign.dispenserAddress,
+    abi: DISPENSER_ABI,
+    functionName: 'addUpvotes',
+    args: [entry.user, BigInt(entry.amount)],
+    dataSuffix: getAwardTag(entry.id),
+    nonce,
+    maxFeePerGas,
+    maxPriorityFeePerGas
+  });
+
+  const replaced = entry.dispenserTx;
+  updateOutboxEntry(entry, {
+    dispenserTx: hash,
+    replacedTxs: [...(entry.replacedTxs || []), replaced],
+    maxFeePerGas: maxFeePerGas.toString(),
+    maxPriorityFeePerGas: maxPriorityFeePerGas.toString(),
+    submittedAt: Date.now()
+  });
+
+  console.log(`[FEES] Replaced stuck award tx ${replaced} with ${hash} (nonce ${nonce}, max fee ${formatGwei(maxFeePerGas)} gwei)`);
+  logInfo('award_tx_replaced', {
+    user: entry.user,
+    sourceTx: entry.sourceTx,
+    nonce: nonce.toString(),
+    replacedTx: replaced,
+    dispenserTx: hash,
+    maxFeePerGas: maxFeePerGas.toString(),
+    maxPriorityFeePerGas: maxPriorityFeePerGas.toString()
+  });
+}
+
+// Keep waiting on a stuck award the cap won't let us touch, alerting once
+function holdStuckAward(entry, reason, wantedMaxFeePerGas) {
+  if (entry.feeCapAlerted) return;
+  alertFeeCap(entry, { reason, wantedMaxFeePerGas: wantedMaxFeePerGas.toString() });
+  logDispenserAction('award_stuck', {
+    user: entry.user,
+    sourceTx: entry.sourceTx,
+    dispenserTx: entry.dispenserTx,
+    nonce: entry.nonce.toString(),
+    maxFeePerGas: entry.maxFeePerGas,
+    note: 'Award tx is stuck and cannot be sped up or cancelled without exceeding MAX_FEE_PER_GAS_GWEI'
+  }, getCampaign(entry.campaignId));
+  updateOutboxEntry(entry, { feeCapAlerted: true });
+}
+
+// Free the nonce with a zero-value self transfer; the award goes back to
+// pending and is sent again once fees come down. The cancel only has to
+// outbid the stuck tx by the minimum nodes accept, so it can fit under the
+// cap when a FEE_BUMP_PERCENT replacement doesn't. If it can't, the award
+// is held like under FEE_CAP_POLICY=alert.
+async function cancelStuckAward(entry) {
+  if (entry.cancelTx) return;
+  const campaign = getCampaign(entry.campaignId);
+  const maxFeePerGas = bumpFee(entry.maxFeePerGas, MIN_REPLACEMENT_BUMP_PERCENT);
+  const maxPriorityFeePerGas = bumpFee(entry.maxPriorityFeePerGas, MIN_REPLACEMENT_BUMP_PERCENT);
+
+  if (maxFeePerGas > MAX_FEE_PER_GAS) {
+    holdStuckAward(entry, 'stuck_tx_cancel', maxFeePerGas);
+    return;
+  }
+
+  const hash = await walletClient.sendTransaction({
+    to: account.address,
+    value: 0n,
+    nonce: Number(entry.nonce),
+    maxFeePerGas,
+    maxPriorityFeePerGas
+  });
+  updateOutboxEntry(entry, { cancelTx: hash });
+
+  alertFeeCap(entry, { reason: 'stuck_tx_cancelled', cancelTx: hash, wantedMaxFeePerGas: maxFeePerGas.toString() });
+  logDispenserAction('award_cancelling', {
+    user: entry.user,
+    sourceTx: entry.sourceTx,
+    dispenserTx: entry.dispenserTx,
+    cancelTx: hash,
+    nonce: entry.nonce.toString(),
+    note: 'Stuck award tx is being cancelled because speeding it up would exceed MAX_FEE_PER_GAS_GWEI'
+  }, campaign);
+}
+
+// ---------------------- AWARD INDEX ----------------------
+// Each award tx carries a tag derived from its outbox id after the
+// addUpvotes calldata (the dispenser ignores trailing bytes). Before sending,
+// the dispenser's UpvotesAdded logs for the user since the source block are
+// checked for a tx with that tag, so a lost state store or a second instance
+// can't award the same upvote twice. Awards sent before tagging existed are
+// only known through the local index.
+function getAwardTag(outboxId) {
+  return keccak256(toHex(`net-upvote-bot:${outboxId}`));
+}
+
+function indexAward(entry, awardTx, blockNumber) {
+  const key = `${entry.campaignId}/${entry.sourceTx}`;
+  const indexed = awardIndex.get(key) || { campaignId: entry.campaignId, sourceTx: entry.sourceTx, awards: {} };
+  if (indexed.awards[entry.id]?.awardTx === awardTx) return;
+  indexed.awards[entry.id] = { awardTx, blockNumber: blockNumber?.toString() ?? null, user: entry.user };
+  awardIndex.set(key, indexed);
+}
+
+function getIndexedAward(entry) {
+  return awardIndex.get(`${entry.campaignId}/${entry.sourceTx}`)?.awards[entry.id] || null;
+}
+
+async function findOnChainAward(entry, campaign) {
+  const tag = getAwardTag(entry.id).slice(2);
+  const head = await publicClient.getBlockNumber();
+  const checked = new Set();
+
+  for (let fromBlock = BigInt(entry.sourceBlock); fromBlock <= head; fromBlock += BACKFILL_CHUNK_SIZE) {
+    const toBlock = fromBlock + BACKFILL_CHUNK_SIZE - 1n < head ? fromBlock + BACKFILL_CHUNK_SIZE - 1n : head;
+    const logs = await publicClient.getLogs({
+      address: campaign.dispenserAddress,
+      event: DISPENSER_ABI.find(item => item.name === 'UpvotesAdded'),
+      args: { user: entry.user },
+      fromBlock,
+      toBlock
+    });
+
+    for (const log of logs) {
+      if (checked.has(log.transactionHash)) continue;
+      checked.add(log.transactionHash);
+      const tx = await publicClient.getTransaction({ hash: log.transactionHash });
+      if (tx.input.toLowerCase().endsWith(tag)) {
+        return { awardTx: log.transactionHash, blockNumber: log.blockNumber };
+      }
+    }
+  }
+  return null;
+}
+
+// Returns the earlier award if this entry was already credited on chain
+async function checkDuplicateAward(entry, campaign) {
+  const indexed = getIndexedAward(entry);
+  if (indexed) return { ...indexed, source: 'local_index' };
+
+  const found = await findOnChainAward(entry, campaign);
+  if (!found) return null;
+  indexAward(entry, found.awardTx, found.blockNumber);
+  return { ...found, source: 'on_chain' };
+}
+
+function skipDuplicateAward(entry, campaign, duplicate) {
+  updateOutboxEntry(entry, { status: 'duplicate', dispenserTx: duplicate.awardTx, nextAttemptAt: null });
+  incCounter('duplicate_awards_total', { campaign: campaign.id });
+
+  console.log(`[DISPENSER] Duplicate award detected for ${entry.user} in campaign ${campaign.id}: source tx ${entry.sourceTx} was already credited by ${duplicate.awardTx}. Skipping.`);
+  logWarning('duplicate_award_detected', {
+    campaign: campaign.id,
+    id: entry.id,
+    user: entry.user,
+    sourceTx: entry.sourceTx,
+    awardTx: duplicate.awardTx,
+    detectedBy: duplicate.source
+  });
+  logDispenserAction('duplicate_award_detected', {
+    user: entry.user,
+    amount: entry.amount,
+    sourceTx: entry.sourceTx,
+    sourceBasescan: `https://basescan.org/tx/${entry.sourceTx}`,
+    dispenserTx: duplicate.awardTx,
+    dispenserBasescan: `https://basescan.org/tx/${duplicate.awardTx}`,
+    detectedBy: duplicate.source,
+    note: 'The dispenser already credited this upvote; no new award was sent'
+  }, campaign);
+}
+
+// ---------------------- AWARD POLICY ----------------------
+// Per-wallet limits, checked right before an award is sent. A campaign can
+// cap the awards one wallet receives, space them out with a cooldown, and
+// use an allowlist and a denylist. Lists are text files with one address per
+// line (# starts a comment); they are reloaded when they change on disk or
+// the process gets SIGHUP. Rejected awards stay in the outbox as 'rejected'.
+const walletLists = new Map(); // file -> { addresses, mtimeMs, failedMtimeMs }
+
+function readWalletList(file) {
+  const addresses = new Set();
+  fs.readFileSync(file, 'utf8').split('\n').forEach((line, i) => {
+    const value = line.replace(/#.*/, '').trim();
+    if (!value) return;
+    if (!isAddress(value, { strict: false })) {
+      throw new Error(`${file} line ${i + 1}: "${value}" is not an address`);
+    }
+    addresses.add(value.toLowerCase());
+  });
+  return { addresses, mtimeMs: fs.statSync(file).mtimeMs, failedMtimeMs: null };
+}
+
+function parseAwardPolicy(definition, lists = walletLists) {
+  const policy = {
+    maxAwardsPerWallet: parseInt(definition.maxAwardsPerWallet ?? MAX_AWARDS_PER_WALLET),
+    cooldownMs: parseInt(definition.awardCooldownMs ?? AWARD_COOLDOWN_MS),
+    allowlistFile: definition.allowlistFile ?? ALLOWLIST_FILE ?? null,
+    denylistFile: definition.denylistFile ?? DENYLIST_FILE ?? null
+  };
+  if (!(policy.maxAwardsPerWallet >= 0) || !(policy.cooldownMs >= 0)) {
+    throw new Error('maxAwardsPerWallet and awardCooldownMs must be 0 or more');
+  }
+  for (const file of [policy.allowlistFile, policy.denylistFile]) {
+    if (file && !lists.has(file)) lists.set(file, readWalletList(file));
+  }
+  return policy;
+}
+
+// A list that fails to parse keeps its last good copy in force
+function reloadWalletLists(force = false) {
+  for (const [file, list] of walletLists) {
+    let mtimeMs;
+    try {
+      mtimeMs = fs.statSync(file).mtimeMs;
+    } catch {
+      mtimeMs = 'missing';
+    }
+    if (!force && (mtimeMs === list.mtimeMs || mtimeMs === list.failedMtimeMs)) continue;
+
+    try {
+      const reloaded = readWalletList(file);
+      walletLists.set(file, reloaded);
+      console.log(`[POLICY] Reloaded ${file}: ${reloaded.addresses.size} addresses`);
+      logInfo('wallet_list_reloaded', { file, addresses: reloaded.addresses.size, previous: list.addresses.size });
+    } catch (err) {
+      list.failedMtimeMs = mtimeMs;
+      console.error(`[POLICY] Could not reload ${file}, keeping the previous list:`, err.message);
+      logError('wallet_list_reload_error', err, { file });
+    }
+  }
+}
+
+// True for an outbox entry that handed out an NFT or may still do so
+function isNftAward(entry) {
+  // A cumulative batch in flight usually only credits upvotes; it counts
+  // once it has mined with an NFTClaimed
+  if (entry.status === 'submitted') return entry.rule !== 'cumulative';
+  return ['confirmed', 'simulated'].includes(entry.status) && Boolean(entry.nftDelivered);
+}
+
+// Awards that reached the wallet or may still reach it. The cooldown only
+// runs from awards for other upvotes, so the several awards a multiples or
+// tiers upvote earns all go out.
+function getWalletAwards(campaign, entry) {
+  const user = entry.user.toLowerCase();
+  let count = 0;
+  let lastAwardAt = null;
+  for (const other of awardOutbox.values()) {
+    if (other.id === entry.id || other.campaignId !== campaign.id || other.user.toLowerCase() !== user) continue;
+    if (!isNftAward(other)) continue;
+
+    count++;
+    if (other.eventId === entry.eventId) continue;
+    const awardedAt = other.submittedAt ?? other.updatedAt;
+    if (lastAwardAt === null || awardedAt > lastAwardAt) lastAwardAt = awardedAt;
+  }
+  return { count, lastAwardAt };
+}
+
+function checkAwardPolicy(entry, campaign) {
+  const { policy } = campaign;
+  const user = entry.user.toLowerCase();
+
+  if (policy.denylistFile && walletLists.get(policy.denylistFile).addresses.has(user)) {
+    return { reason: 'denylisted', detail: `${entry.user} is listed in ${policy.denylistFile}` };
+  }
+  if (policy.allowlistFile && !walletLists.get(policy.allowlistFile).addresses.has(user)) {
+    return { reason: 'not_allowlisted', detail: `${entry.user} is not listed in ${policy.allowlistFile}` };
+  }
+  if (policy.maxAwardsPerWallet === 0 && policy.cooldownMs === 0) return null;
+
+  const { count, lastAwardAt } = getWalletAwards(campaign, entry);
+  if (policy.maxAwardsPerWallet > 0 && count >= policy.maxAwardsPerWallet) {
+    return { reason: 'wallet_cap', detail: `${entry.user} already has ${count} award(s), the cap is ${policy.maxAwardsPerWallet}` };
+  }
+  const sinceLastMs = lastAwardAt === null ? null : Date.now() - lastAwardAt;
+  if (policy.cooldownMs > 0 && sinceLastMs !== null && sinceLastMs < policy.cooldownMs) {
+    return {
+      reason: 'cooldown',
+      detail: `${entry.user} was last awarded ${Math.round(sinceLastMs / 1000)}s ago, the cooldown is ${Math.round(policy.cooldownMs / 1000)}s`,
+      retryAt: lastAwardAt + policy.cooldownMs
+    };
+  }
+  return null;
+}
+
+function rejectAward(entry, campaign, { reason, detail }) {
+  updateOutboxEntry(entry, { status: 'rejected', rejectedReason: reason, lastError: detail, nextAttemptAt: null });
+  incCounter('policy_rejections_total', { campaign: campaign.id, reason });
+
+  console.log(`[POLICY] Award to ${entry.user} in campaign ${campaign.id} rejected (${reason}): ${detail}`);
+  logDispenserAction('award_rejected', {
+    user: entry.user,
+    amount: entry.amount,
+    rule: entry.rule,
+    reason,
+    detail,
+    sourceTx: entry.sourceTx,
+    sourceBasescan: `https://basescan.org/tx/${entry.sourceTx}`
+  }, campaign);
+}
+
+function describePolicy(policy) {
+  const parts = [];
+  if (policy.maxAwardsPerWallet > 0) parts.push(`max ${policy.maxAwardsPerWallet} award(s) per wallet`);
+  if (policy.cooldownMs > 0) parts.push(`${Math.round(policy.cooldownMs / 1000)}s cooldown`);
+  if (policy.allowlistFile) parts.push(`allowlist ${policy.allowlistFile} (${walletLists.get(policy.allowlistFile).addresses.size})`);
+  if (policy.denylistFile) parts.push(`denylist ${policy.denylistFile} (${walletLists.get(policy.denylistFile).addresses.size})`);
+  return parts.length > 0 ? parts.join(', ') : 'none';
+}
+
+// ---------------------- BUDGETS ----------------------
+// Caps on what the hot wallet hands out: NFT awards per UTC hour and per UTC
+// day, and ETH spent on award gas per UTC day. Usage is counted from the
+// outbox, so it survives restarts. Once a budget is used up, sending pauses:
+// qualifying upvotes keep being queued as pending awards and go out when the
+// window resets. Gas counts mined awards only, so awards in flight at the
+// moment a budget runs out can still land on top of it.
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+let budgetPause = null; // the exhausted budget while awards are paused
+
+function getBudgetUsage(now = Date.now()) {
+  const hourStart = now - (now % HOUR_MS);
+  const dayStart = now - (now % DAY_MS);
+  let awardsThisHour = 0;
+  let awardsToday = 0;
+  let gasToday = 0n;
+
+  for (const entry of awardOutbox.values()) {
+    if (isNftAward(entry) && entry.status !== 'simulated' && entry.submittedAt >= dayStart) {
+      awardsToday++;
+      if (entry.submittedAt >= hourStart) awardsThisHour++;
+    }
+    if (entry.status === 'confirmed' && entry.confirmedAt >= dayStart && entry.gasUsed) {
+      gasToday += BigInt(entry.gasUsed) * BigInt(entry.effectiveGasPrice);
+    }
+  }
+  return { hourStart, dayStart, awardsThisHour, awardsToday, gasToday };
+}
+
+// The budget that keeps awards paused the longest, or null
+function findExhaustedBudget(usage) {
+  if (MAX_GAS_PER_DAY > 0n && usage.gasToday >= MAX_GAS_PER_DAY) {
+    return { budget: 'daily_gas', used: formatEther(usage.gasToday), limit: formatEther(MAX_GAS_PER_DAY), resumesAt: usage.dayStart + DAY_MS };
+  }
+  if (MAX_AWARDS_PER_DAY > 0 && usage.awardsToday >= MAX_AWARDS_PER_DAY) {
+    return { budget: 'daily_awards', used: usage.awardsToday, limit: MAX_AWARDS_PER_DAY, resumesAt: usage.dayStart + DAY_MS };
+  }
+  if (MAX_AWARDS_PER_HOUR > 0 && usage.awardsThisHour >= MAX_AWARDS_PER_HOUR) {
+    return { budget: 'hourly_awards', used: usage.awardsThisHour, limit: MAX_AWARDS_PER_HOUR, resumesAt: usage.hourStart + HOUR_MS };
+  }
+  return null;
+}
+
+// Re-evaluated before and during every outbox pass; logs the moments
+// sending pauses and resumes
+function checkBudgets() {
+  const exhausted = findExhaustedBudget(getBudgetUsage());
+
+  if (exhausted && !budgetPause) {
+    const resumesAt = new Date(exhausted.resumesAt).toISOString();
+    console.log(`[BUDGET] Awards paused: the ${exhausted.budget} budget is used up (${exhausted.used} of ${exhausted.limit}). Queuing until ${resumesAt}`);
+    logWarning('awards_paused', { ...exhausted, resumesAt });
+    for (const campaign of campaigns) {
+      logDispenserAction('awards_paused', { ...exhausted, resumesAt }, campaign);
+    }
+  } else if (!exhausted && budgetPause) {
+    const held = countOutbox('pending');
+    console.log(`[BUDGET] The ${budgetPause.budget} budget has reset, resuming awards (${held} queued)`);
+    logInfo('awards_resumed', { budget: budgetPause.budget, held });
+    for (const campaign of campaigns) {
+      logDispenserAction('awards_resumed', { budget: budgetPause.budget, held }, campaign);
+    }
+  }
+
+  budgetPause = exhausted;
+  setGauge('awards_paused', { reason: 'budget' }, exhausted ? 1 : 0);
+  return budgetPause;
+}
+
+function getBudgetStatus() {
+  const usage = getBudgetUsage();
+  return {
+    awardsThisHour: usage.awardsThisHour,
+    maxAwardsPerHour: MAX_AWARDS_PER_HOUR || null,
+    awardsToday: usage.awardsToday,
+    maxAwardsPerDay: MAX_AWARDS_PER_DAY || null,
+    gasTodayEth: formatEther(usage.gasToday),
+    maxGasPerDayEth: MAX_GAS_PER_DAY > 0n ? formatEther(MAX_GAS_PER_DAY) : null,
+    paused: budgetPause && { ...budgetPause, resumesAt: new Date(budgetPause.resumesAt).toISOString() }
+  };
+}
+
+// ---------------------- WALLET FUNDING ----------------------
+// The award wallet pays gas for every award. Before sending, the bot checks
+// the balance still covers an award at the current max fee, after setting
+// aside what the txs already in flight may cost. The cost per award comes
+// from recently mined awards (AWARD_GAS_ESTIMATE until one has mined). When
+// the wallet can't pay, awards stay pending in the outbox and go out once it
+// is topped up; WALLET_LOW_AWARDS sets how early it warns.
+const wallet = {
+  awardCost: null, // wei, at the latest max fee per gas
+  awardsLeft: null,
+  state: null, // 'ok', 'low' or 'empty'
+  refusedBalance: null // a balance the node refused an award with
+};
+
+// Highest gas recently used by an award, plus 20% since the node reserves
+// the gas limit rather than the gas used
+function getAwardGasEstimate() {
+  const recent = Array.from(awardOutbox.values())
+    .filter(entry => entry.status === 'confirmed' && entry.gasUsed)
+    .sort((a, b) => b.confirmedAt - a.confirmedAt)
+    .slice(0, 20);
+  if (recent.length === 0) return AWARD_GAS_ESTIMATE;
+  const highest = recent.reduce((max, entry) => BigInt(entry.gasUsed) > max ? BigInt(entry.gasUsed) : max, 0n);
+  return highest * 120n / 100n;
+}
+
+async function refreshWalletFunding() {
+  const [balance, fees] = await Promise.all([
+    publicClient.getBalance({ address: account.address }),
+    getAwardFees()
+  ]);
+  health.walletBalance = balance;
+  wallet.awardCost = getAwardGasEstimate() * fees.maxFeePerGas;
+  return checkWalletFunding();
+}
+
+// Re-evaluated from the last known balance after every award sent, so a
+// burst can't spend past what the wallet holds; logs the moments it goes
+// low, empty and back
+function checkWalletFunding() {
+  // A dry run spends nothing, so its wallet may be empty
+  if (DRY_RUN || health.walletBalance === null || !wallet.awardCost) return wallet.state;
+
+  // The node knows the real gas limit; trust it over the estimate until
+  // the balance grows past what it refused
+  if (wallet.refusedBalance !== null && health.walletBalance > wallet.refusedBalance) {
+    wallet.refusedBalance = null;
+  }
+  const reserved = BigInt(countOutbox('submitted')) * wallet.awardCost;
+  const spendable = health.walletBalance > reserved ? health.walletBalance - reserved : 0n;
+  const awardsLeft = wallet.refusedBalance !== null ? 0 : Number(spendable / wallet.awardCost);
+  let state = awardsLeft < 1 ? 'empty' : awardsLeft < WALLET_LOW_AWARDS ? 'low' : 'ok';
+  // Fees move the estimate around; once low, only a real top-up clears it
+  if (state === 'ok' && wallet.state === 'low' && awardsLeft < WALLET_LOW_AWARDS * 2) state = 'low';
+  const details = {
+    account: account.address,
+    balanceEth: formatEther(health.walletBalance),
+    awardCostEth: formatEther(wallet.awardCost),
+    awardsLeft
+  };
+
+  if (state === 'empty' && wallet.state !== 'empty') {
+    const reason = wallet.refusedBalance !== null ? 'the node refused an award at this balance' : `~${details.awardCostEth} ETH each`;
+    console.log(`[WALLET] Awards paused: ${account.address} has ${details.balanceEth} ETH and can't pay for an award (${reason}). Queuing until it is topped up`);
+    logWarning('wallet_empty', details);
+    for (const campaign of campaigns) {
+      logDispenserAction('wallet_empty', details, campaign);
+    }
+  } else if (state === 'low' && wallet.state !== 'low' && wallet.state !== 'empty') {
+    console.log(`[WALLET] Balance low: ${account.address} has ${details.balanceEth} ETH, enough for ~${awardsLeft} more award(s)`);
+    logWarning('wallet_low', details);
+    for (const campaign of campaigns) {
+      logDispenserAction('wallet_low', details, campaign);
+    }
+  } else if ((state !== 'empty' && wallet.state === 'empty') || (state === 'ok' && wallet.state === 'low')) {
+    const held = countOutbox('pending');
+    console.log(`[WALLET] ${account.address} topped up to ${details.balanceEth} ETH (~${awardsLeft} awards), ${held} queued award(s) will go out`);
+    logInfo('wallet_funded', { ...details, held });
+    for (const campaign of campaigns) {
+      logDispenserAction('wallet_funded', { ...details, held }, campaign);
+    }
+  }
+
+  wallet.awardsLeft = awardsLeft;
+  wallet.state = state;
+  setGauge('wallet_awards_remaining', {}, awardsLeft);
+  setGauge('awards_paused', { reason: 'wallet' }, state === 'empty' ? 1 : 0);
+  return state;
+}
+
+function getWalletStatus() {
+  return {
+    awardCostEth: wallet.awardCost === null ? null : formatEther(wallet.awardCost),
+    awardsLeft: wallet.awardsLeft,
+    lowAt: WALLET_LOW_AWARDS,
+    state: DRY_RUN ? 'dry_run' : wallet.state
+  };
+}
+
+// viem recognises geth-style messages; Hardhat says the sender doesn't have
+// enough funds and comes back as an invalid-params error instead
+function isInsufficientFundsError(err) {
+  return err instanceof BaseError &&
+    Boolean(err.walk(e => e instanceof InsufficientFundsError || /doesn't have enough funds/i.test(e.details ?? '')));
+}
+
+function holdUnfundedAward(entry, err) {
+  console.log(`[WALLET] ${account.address} can't pay for the award to ${entry.user}, keeping it queued`);
+  logWarning('award_unfunded', {
+    campaign: entry.campaignId,
+    user: entry.user,
+    sourceTx: entry.sourceTx,
+    balance: health.walletBalance?.toString() ?? null,
+    error: err.shortMessage || err.message
+  });
+  updateOutboxEntry(entry, {
+    attempts: entry.attempts - 1,
+    lastError: `Wallet can't pay for the award: ${err.shortMessage || err.message}`,
+    nextAttemptAt: Date.now() + POLL_MS
+  });
+  if (health.walletBalance !== null) {
+    wallet.refusedBalance = health.walletBalance;
+    checkWalletFunding();
+  }
+}
+
+// ---------------------- AWARD OUTBOX ----------------------
+// Every award moves pending -> submitted -> confirmed. Transient failures go
+// back to pending with exponential backoff; reverts and exhausted retries are
+// parked as failed for an operator to review.
+function updateOutboxEntry(entry, changes) {
+  Object.assign(entry, changes, { updatedAt: Date.now() });
+  awardOutbox.touch(entry.id);
+  // Parked, cancelled or dropped awards sent nothing to watch for reorgs
+  if (!['submitted', 'confirmed'].includes(entry.status)) {
+    awardedEvents.delete(entry.id);
+  }
+  saveState();
+}
+
+function getRetryDelay(attempts) {
+  const delay = AWARD_RETRY_BASE_MS * 2 ** Math.max(0, attempts - 1);
+  return Math.min(delay, AWARD_RETRY_MAX_MS);
+}
+
+// Reverts will fail the same way every time; anything else (RPC outages,
+// timeouts, nonce races, low gas funds) is worth another attempt
+function isPermanentAwardError(err) {
+  if (err instanceof BaseError) {
+    return Boolean(err.walk(e => e instanceof ContractFunctionRevertedError));
+  }
+  return false;
+}
+
+function recordAwardFailure(entry, reason, permanent) {
+  const campaign = getCampaign(entry.campaignId);
+  const attempts = entry.attempts;
+  if (permanent || attempts >= AWARD_MAX_ATTEMPTS) {
+    updateOutboxEntry(entry, { status: 'failed', lastError: reason, nextAttemptAt: null });
+    incCounter('award_failures_total', { campaign: campaign.id, result: 'parked' });
+
+    console.log(`[DISPENSER] Failed to award NFT to ${entry.user} in campaign ${campaign.id} after ${attempts} attempt(s). Parked for operator review.`);
+    logWarning('award_failed', {
+      campaign: campaign.id,
+      user: entry.user,
+      amount: entry.amount,
+      sourceTx: entry.sourceTx,
+      attempts: attempts.toString(),
+      error: reason
+    });
+    logDispenserAction('award_failed', {
+      user: entry.user,
+      amount: entry.amount,
+      sourceTx: entry.sourceTx,
+      sourceBasescan: `https://basescan.org/tx/${entry.sourceTx}`,
+      dispenserTx: entry.dispenserTx,
+      attempts: attempts.toString(),
+      error: reason,
+      note: 'Parked in the award outbox for operator review'
+    }, campaign);
+    return;
+  }
+
+  const delay = getRetryDelay(attempts);
+  updateOutboxEntry(entry, { status: 'pending', lastError: reason, nextAttemptAt: Date.now() + delay });
+  incCounter('award_failures_total', { campaign: campaign.id, result: 'retrying' });
+
+  console.log(`[DISPENSER] Award to ${entry.user} failed (attempt ${attempts}/${AWARD_MAX_ATTEMPTS}), retrying in ${Math.round(delay / 1000)}s`);
+  logWarning('award_retry_scheduled', {
+    user: entry.user,
+    amount: entry.amount,
+    sourceTx: entry.sourceTx,
+    attempts: attempts.toString(),
+    retryInMs: delay.toString(),
+    error: reason
+  });
+}
+
+async function submitOutboxEntry(entry) {
+  const campaign = getCampaign(entry.campaignId);
+
+  // Per-wallet limits come first; rejecting needs no RPC call
+  const rejection = checkAwardPolicy(entry, campaign);
+  if (rejection?.retryAt && entry.rule === 'cumulative') {
+    // The ledger has already handed these upvotes over, so the batch waits
+    // out the cooldown instead of being dropped
+    console.log(`[POLICY] Holding ${entry.amount} upvotes for ${entry.user} in campaign ${campaign.id} until the cooldown ends at ${new Date(rejection.retryAt).toISOString()}`);
+    updateOutboxEntry(entry, { lastError: rejection.detail, nextAttemptAt: rejection.retryAt });
+    return;
+  }
+  if (rejection) {
+    rejectAward(entry, campaign, rejection);
+    return;
+  }
+
+  // Hold the award back (without spending an attempt) while fees are over the cap
+  const fees = await getAwardFees();
+  if (fees.capExceeded) {
+    if (!entry.feeCapAlerted) {
+      alertFeeCap(entry, { reason: 'new_award', baseFee: fees.baseFee.toString() });
+    }
+    updateOutboxEntry(entry, { feeCapAlerted: true, nextAttemptAt: Date.now() + POLL_MS });
+    return;
+  }
+
+  updateOutboxEntry(entry, { attempts: entry.attempts + 1, feeCapAlerted: false });
+
+  let duplicate;
+  try {
+    duplicate = await checkDuplicateAward(entry, campaign);
+  } catch (err) {
+    recordAwardFailure(entry, `Duplicate check failed: ${err.shortMessage || err.message}`, false);
+    return;
+  }
+  if (duplicate) {
+    skipDuplicateAward(entry, campaign, duplicate);
+    return;
+  }
+
+  if (DRY_RUN) {
+    await simulateOutboxEntry(entry, campaign);
+    return;
+  }
+
+  let awardHash;
+  let nonce;
+  try {
+    ({ hash: awardHash, nonce } = await addUpvotesToDispenser(campaign, entry.user, BigInt(entry.amount), fees, getAwardTag(entry.id)));
+  } catch (err) {
+    // The node disagreed with our nonce; pick the count back up from chain
+    if (isNonceError(err)) {
+      await syncNonce('nonce_error').catch(() => {});
+    }
+    // Not the award's fault: keep it queued without spending the attempt
+    if (isInsufficientFundsError(err)) {
+      holdUnfundedAward(entry, err);
+      return;
+    }
+    recordAwardFailure(entry, err.shortMessage || err.message, isPermanentAwardError(err));
+    return;
+  }
+
+  // Remembered (and saved with the outbox entry) so a late reorg of the
+  // source upvote can still be flagged
+  awardedEvents.set(entry.id, {
+    id: entry.id,
+    campaignId: campaign.id,
+    eventId: entry.eventId,
+    eventIds: entry.eventIds,
+    user: entry.user,
+    amount: entry.amount,
+    txHash: entry.sourceTx,
+    blockNumber: entry.sourceBlock,
+    dispenserTx: awardHash
+  });
+  pruneAwardedEvents();
+
+  updateOutboxEntry(entry, {
+    status: 'submitted',
+    dispenserTx: awardHash,
+    replacedTxs: [],
+    cancelTx: null,
+    nonce,
+    maxFeePerGas: fees.maxFeePerGas.toString(),
+    maxPriorityFeePerGas: fees.maxPriorityFeePerGas.toString(),
+    submittedAt: Date.now(),
+    lastError: null
+  });
+
+  console.log(`[DISPENSER] Award submitted for ${entry.user} in campaign ${campaign.id}. Transaction: https://basescan.org/tx/${awardHash}`);
+  logInfo('award_submitted', {
+    campaign: campaign.id,
+    user: entry.user,
+    amount: entry.amount,
+    sourceTx: entry.sourceTx,
+    dispenserTx: awardHash,
+    sourceBasescan: `https://basescan.org/tx/${entry.sourceTx}`,
+    dispenserBasescan: `https://basescan.org/tx/${awardHash}`
+  });
+}
+
+// Dry run: everything up to the award tx, which is simulated instead of
+// sent. The call is simulated from the dispenser's owner so a staging
+// instance doesn't need the production key. The predicted NFT is based on
+// live chain state, which a dry run never changes.
+async function simulateOutboxEntry(entry, campaign) {
+  try {
+    const owner = await publicClient.readContract({
+      address: campaign.dispenserAddress,
+      abi: DISPENSER_ABI,
+      functionName: 'owner'
+    });
+    await publicClient.simulateContract({
+      address: campaign.dispenserAddress,
+      abi: DISPENSER_ABI,
+      functionName: 'addUpvotes',
+      args: [entry.user, BigInt(entry.amount)],
+      account: owner,
+      dataSuffix: getAwardTag(entry.id)
+    });
+  } catch (err) {
+    console.error('[DRY_RUN] Simulated addUpvotes failed:', err.shortMessage || err.message);
+    recordAwardFailure(entry, `Simulation failed: ${err.shortMessage || err.message}`, isPermanentAwardError(err));
+    return;
+  }
+
+  const [config, balance] = await Promise.all([
+    getConfig(campaign),
+    checkUserUpvotes(campaign, entry.user)
+  ]);
+  const wouldClaim = balance !== null && config.upvotesRequired !== null &&
+    balance + BigInt(entry.amount) >= BigInt(config.upvotesRequired) &&
+    config.queuedNFTCount > 0;
+  const tokenId = wouldClaim ? config.queuedNFTs[config.queuedNFTs.length - 1] : null;
+
+  updateOutboxEntry(entry, { status: 'simulated', tokenId, nftDelivered: wouldClaim, lastError: null, nextAttemptAt: null });
+  incCounter('dry_run_awards_total', { campaign: campaign.id, nft: wouldClaim ? 'delivered' : 'none' });
+
+  console.log(wouldClaim
+    ? `[DRY_RUN] Would award NFT #${tokenId} to ${entry.user} in campaign ${campaign.id} (${entry.amount} upvotes)`
+    : `[DRY_RUN] Would credit ${entry.amount} upvotes to ${entry.user} in campaign ${campaign.id} without an NFT`);
+  logDispenserAction('dry_run_award', {
+    user: entry.user,
+    amount: entry.amount,
+    rule: entry.rule,
+    sourceTx: entry.sourceTx,
+    sourceBasescan: `https://basescan.org/tx/${entry.sourceTx}`,
+    userUpvotesBefore: balance === null ? null : balance.toString(),
+    upvotesRequired: config.upvotesRequired,
+    queuedNFTCount: config.queuedNFTCount,
+    wouldClaim,
+    tokenId,
+    note: 'Dry run: addUpvotes was simulated, no transaction was sent'
+  }, campaign);
+}
+
+// Pull what actually happened out of the award receipt: the upvotes the
+// dispenser credited and the token it sent, if any
+function decodeAwardReceipt(receipt, user, campaign) {
+  const logs = parseEventLogs({
+    abi: DISPENSER_ABI,
+    logs: receipt.logs.filter(l => l.address.toLowerCase() === campaign.dispenserAddress.toLowerCase())
+  });
+  const forUser = logs.filter(l => l.args.user?.toLowerCase() === user.toLowerCase());
+  const claimed = forUser.find(l => l.eventName === 'NFTClaimed');
+  const credited = forUser.find(l => l.eventName === 'UpvotesAdded');
+
+  return {
+    tokenId: claimed ? claimed.args.tokenId.toString() : null,
+    upvotesCredited: credited ? credited.args.count.toString() : null,
+    gasUsed: receipt.gasUsed.toString(),
+    effectiveGasPrice: receipt.effectiveGasPrice.toString(),
+    gasCostEth: formatEther(receipt.gasUsed * receipt.effectiveGasPrice),
+    blockNumber: receipt.blockNumber.toString()
+  };
+}
+
+async function checkSubmittedEntry(entry) {
+  const campaign = getCampaign(entry.campaignId);
+
+  // Whichever of the original or its replacements mined is the award
+  let receipt = null;
+  for (const hash of getAwardTxHashes(entry)) {
+    receipt = await getReceiptIfMined(hash);
+    if (receipt) break;
+  }
+
+  if (receipt && receipt.transactionHash !== entry.dispenserTx) {
+    updateOutboxEntry(entry, { dispenserTx: receipt.transactionHash });
+  }
+
+  if (!receipt && entry.cancelTx && await getReceiptIfMined(entry.cancelTx)) {
+    console.log(`[FEES] Stuck award to ${entry.user} was cancelled, it will be sent again when fees allow`);
+    logDispenserAction('award_cancelled', {
+      user: entry.user,
+      sourceTx: entry.sourceTx,
+      cancelTx: entry.cancelTx,
+      nonce: entry.nonce.toString()
+    }, campaign);
+    updateOutboxEntry(entry, {
+      status: 'pending',
+      dispenserTx: null,
+      replacedTxs: [],
+      cancelTx: null,
+      nonce: null,
+      lastError: 'Cancelled: fee cap exceeded',
+      nextAttemptAt: Date.now() + REPLACE_AFTER_MS
+    });
+    return;
+  }
+
+  if (!receipt) {
+    // A dry run never sends, not even replacements for a real run's awards,
+    // and a shutdown only waits for receipts
+    if (!DRY_RUN && !shuttingDown && Date.now() - entry.submittedAt >= REPLACE_AFTER_MS) {
+      await replaceStuckAward(entry);
+    }
+    return;
+  }
+
+  if (receipt.status !== 'success') {
+    logWarning('award_reverted', {
+      user: entry.user,
+      sourceTx: entry.sourceTx,
+      dispenserTx: entry.dispenserTx,
+      blockNumber: receipt.blockNumber.toString(),
+      gasUsed: receipt.gasUsed.toString()
+    });
+    recordAwardFailure(entry, `Dispenser tx ${entry.dispenserTx} reverted`, false);
+    return;
+  }
+
+  const result = decodeAwardReceipt(receipt, entry.user, campaign);
+  incCounter('awards_total', { campaign: campaign.id, nft: result.tokenId ? 'delivered' : 'none' });
+  observeHistogram('award_latency_seconds', { campaign: campaign.id }, (Date.now() - entry.createdAt) / 1000);
+  updateOutboxEntry(entry, {
+    status: 'confirmed',
+    confirmedBlock: result.blockNumber,
+    confirmedAt: Date.now(),
+    tokenId: result.tokenId,
+    nftDelivered: Boolean(result.tokenId),
+    gasUsed: result.gasUsed,
+    effectiveGasPrice: result.effectiveGasPrice
+  });
+  indexAward(entry, entry.dispenserTx, result.blockNumber);
+  saveState();
+
+  const details = {
+    campaign: campaign.id,
+    user: entry.user,
+    amount: entry.amount,
+    upvotesCredited: result.upvotesCredited,
+    sourceTx: entry.sourceTx,
+    dispenserTx: entry.dispenserTx,
+    blockNumber: result.blockNumber,
+    gasUsed: result.gasUsed,
+    effectiveGasPrice: result.effectiveGasPrice,
+    gasCostEth: result.gasCostEth,
+    sourceBasescan: `https://basescan.org/tx/${entry.sourceTx}`,
+    dispenserBasescan: `https://basescan.org/tx/${entry.dispenserTx}`
+  };
+
+  if (campaign.rule.mode === 'cumulative') {
+    const balance = await settleLedgerAward(entry, campaign, result);
+    if (!result.tokenId) {
+      // The normal outcome for cumulative campaigns: progress, not an NFT yet
+      const progress = balance === null ? 'unknown' : balance.toString();
+      console.log(`[LEDGER] Credited ${result.upvotesCredited} upvotes to ${entry.user} (${progress} toward the next NFT). Transaction: https://basescan.org/tx/${entry.dispenserTx}`);
+      logInfo('upvotes_credited', { ...details, balance: progress });
+      logDispenserAction('upvotes_credited', { ...details, balance: progress }, campaign);
+      return;
+    }
+  }
+
+  if (!result.tokenId) {
+    // Mined fine, but the dispenser only credited upvotes (e.g. it ran dry
+    // between our inventory check and the tx landing)
+    console.log(`[DISPENSER] Upvotes credited to ${entry.user} but no NFT was sent! Transaction: https://basescan.org/tx/${entry.dispenserTx}`);
+    logWarning('award_no_nft', details);
+    logDispenserAction('upvotes_credited_no_nft', {
+      ...details,
+      inventoryBefore: entry.inventoryBefore,
+      note: 'Dispenser credited the upvotes but emitted no NFTClaimed event'
+    }, campaign);
+    return;
+  }
+
+  console.log(`[DISPENSER] NFT #${result.tokenId} awarded to ${entry.user}! Transaction: https://basescan.org/tx/${entry.dispenserTx}`);
+  logInfo('award_success', { ...details, tokenId: result.tokenId });
+  logDispenserAction('nft_awarded', {
+    ...details,
+    tokenId: result.tokenId,
+    inventoryBefore: entry.inventoryBefore
+  }, campaign);
+}
+
+function countOutbox(status) {
+  let count = 0;
+  for (const entry of awardOutbox.values()) {
+    if (entry.status === status) count++;
+  }
+  return count;
+}
+
+// Receipts are checked first so finished awards free their slot, then due
+// entries are sent until MAX_IN_FLIGHT_AWARDS txs are waiting to be mined
+// Entries for a campaign that is no longer configured stay put (see startup warning)
+function getActiveOutboxEntries() {
+  return Array.from(awardOutbox.values()).filter(entry => getCampaign(entry.campaignId));
+}
+
+async function checkSubmittedAwards() {
+  for (const entry of getActiveOutboxEntries().filter(e => e.status === 'submitted')) {
+    try {
+      await checkSubmittedEntry(entry);
+    } catch (err) {
+      console.error('[OUTBOX_ERROR] Failed to check award receipt:', err.message);
+      logError('outbox_error', err, {
+        id: entry.id,
+        status: entry.status,
+        dispenserTx: entry.dispenserTx
+      });
+    }
+  }
+}
+
+async function processOutbox() {
+  const now = Date.now();
+  await checkSubmittedAwards();
+  const entries = getActiveOutboxEntries();
+
+  // Awards stay pending while their dispenser disagrees with the campaign
+  const due = entries
+    .filter(e => e.status === 'pending' && e.nextAttemptAt <= now && getCampaign(e.campaignId).drift.length === 0)
+    .sort((a, b) => a.createdAt - b.createdAt);
+
+  checkBudgets();
+  // Check the wallet can pay before sending; a dry run sends nothing
+  if (due.length > 0 && !DRY_RUN) {
+    try {
+      await refreshWalletFunding();
+    } catch (err) {
+      console.error('[WALLET_ERROR] Failed to check the award wallet balance:', err.message);
+      logError('wallet_check_error', err, { account: account.address });
+    }
+  }
+  for (const entry of due) {
+    if (shuttingDown || operatorControls.has('pause') || budgetPause || wallet.state === 'empty' || countOutbox('submitted') >= MAX_IN_FLIGHT_AWARDS) break;
+    try {
+      await submitOutboxEntry(entry);
+      if (entry.status === 'submitted') {
+        checkBudgets();
+        checkWalletFunding();
+      }
+    } catch (err) {
+      console.error('[OUTBOX_ERROR] Failed to process award outbox entry:', err.message);
+      logError('outbox_error', err, {
+        id: entry.id,
+        status: entry.status,
+        dispenserTx: entry.dispenserTx
+      });
+    }
+  }
+}
+
+// Awarded events are only kept while a reorg could still retract them
+function pruneAwardedEvents() {
+  for (const [id, event] of awardedEvents) {
+    if (BigInt(event.blockNumber) + AWARD_REORG_WATCH_BLOCKS < lastProcessedBlock) {
+      awardedEvents.delete(id);
+    }
+  }
+}
+
+// Catch up on Upvoted events emitted while the bot was down, paging
+// getLogs in BACKFILL_CHUNK_SIZE block ranges
+async function backfillUpvotes(fromBlock, toBlock) {
+  if (fromBlock > toBlock) return;
+
+  console.log(`[BACKFILL] Scanning blocks ${fromBlock.toString()} to ${toBlock.toString()} for missed upvotes`);
+  logInfo('backfill_started', {
+    fromBlock: fromBlock.toString(),
+    toBlock: toBlock.toString(),
+    chunkSize: BACKFILL_CHUNK_SIZE.toString()
+  });
+
+  let logCount = 0;
+  for (let start = fromBlock; start <= toBlock; start += BACKFILL_CHUNK_SIZE) {
+    // Every finished chunk is saved, so the next run resumes from here
+    if (shuttingDown) return;
+    const end = start + BACKFILL_CHUNK_SIZE - 1n < toBlock ? start + BACKFILL_CHUNK_SIZE - 1n : toBlock;
+    const logs = await publicClient.getLogs({
+      address: global.NORMALIZED_UPVOTE_APP_ADDRESS,
+      event: UPVOTE_APP_ABI[0],
+      fromBlock: start,
+      toBlock: end
+    });
+    logCount += logs.length;
+    await enqueueLogs(logs, 'backfill');
+
+    // Everything up to the chunk's end has been seen, even if no log landed
+    // there; a failed backfill resumes from here
+    if (end > lastProcessedBlock) {
+      lastProcessedBlock = end;
+    }
+    saveState();
+  }
+
+  console.log(`[BACKFILL] Complete: ${logCount} Upvoted events scanned`);
+  logInfo('backfill_complete', {
+    fromBlock: fromBlock.toString(),
+    toBlock: toBlock.toString(),
+    logCount: logCount.toString()
+  });
+}
+
+// ---------------------- WATCHER ----------------------
+// Upvoted events arrive over a WebSocket subscription when BASE_WS_URLS is
+// set, or by polling getLogs over HTTP otherwise. Either way the watcher
+// reports the newest block it has seen (newHeads over WebSocket), which the
+// watchdog compares with the chain head. Whenever the watcher is
+// (re)started it backfills from lastProcessedBlock, so events published
+// while a subscription was down are picked up. WebSocket endpoints that fail
+// are skipped for WS_RETRY_AFTER_MS; with none left the watcher polls over
+// HTTP and moves back once one is due for a retry.
+const wsEndpoints = BASE_WS_URLS.map(url => ({
+  url,
+  label: redactRpcUrl(url),
+  failures: 0,
+  lastFailureAt: 0,
+  lastError: null
+}));
+
+const watcher = {
+  generation: 0, // bumped on every (re)start so callbacks of old watchers are ignored
+  unwatch: null,
+  client: null,
+  endpoint: null, // WebSocket endpoint in use, null while polling over HTTP
+  restarting: false,
+  restarts: 0,
+  syncedBlock: null, // newest block the watcher has delivered logs up to
+  lastProgressAt: null,
+  pollTimer: null
+};
+
+function withTimeout(promise, ms, message) {
+  let timer;
+  return Promise.race([
+    promise,
+    new Promise((_, reject) => { timer = setTimeout(() => reject(new Error(message)), ms); })
+  ]).finally(() => clearTimeout(timer));
+}
+
+// Fewest failures first, list order breaking ties
+function pickWsEndpoint() {
+  const now = Date.now();
+  return wsEndpoints
+    .filter(endpoint => now - endpoint.lastFailureAt >= WS_RETRY_AFTER_MS)
+    .sort((a, b) => a.failures - b.failures)[0] || null;
+}
+
+function markWsFailure(endpoint, err) {
+  endpoint.failures++;
+  endpoint.lastFailureAt = Date.now();
+  endpoint.lastError = { message: err.shortMessage || err.message, at: Date.now() };
+}
+
+function describeWatcher() {
+  if (watcher.endpoint) return `WebSocket ${watcher.endpoint.label}`;
+  return RPC_URLS.length > 1 ? `HTTP polling across ${RPC_URLS.length} endpoints` : 'HTTP polling';
+}
+
+function noteWatcherProgress(blockNumber) {
+  if (watcher.syncedBlock === null || blockNumber > watcher.syncedBlock) {
+    watcher.syncedBlock = blockNumber;
+    watcher.lastProgressAt = Date.now();
+  }
+}
+
+function closeWatchClient(client) {
+  return withTimeout(client.transport.getRpcClient().then(rpcClient => rpcClient.close()), WS_SUBSCRIBE_TIMEOUT_MS, 'Timed out closing WebSocket')
+    .catch(() => {});
+}
+
+async function subscribeWebSocket(endpoint, onLogs, onHead, onError) {
+  const client = createPublicClient({
+    chain: base,
+    // Reconnects are handled here so every one comes with a backfill
+    transport: timedTransport(webSocket(endpoint.url, { reconnect: false }))
+  });
+
+  const forwardError = err => {
+    if (watcher.client === client) onError(err);
+  };
+
+  try {
+    const subscriptions = await withTimeout(Promise.all([
+      client.transport.subscribe({
+        params: ['logs', {
+          address: global.NORMALIZED_UPVOTE_APP_ADDRESS,
+          topics: encodeEventTopics({ abi: UPVOTE_APP_ABI, eventName: 'Upvoted' })
+        }],
+        onData: ({ result }) => onLogs(parseEventLogs({ abi: UPVOTE_APP_ABI, logs: [formatLog(result)] })),
+        onError: forwardError
+      }),
+      // Heads show the socket is still delivering when no upvotes happen
+      client.transport.subscribe({
+        params: ['newHeads'],
+        onData: ({ result }) => {
+          if (watcher.client === client) onHead(hexToBigInt(result.number));
+        },
+        onError: forwardError
+      })
+    ]), WS_SUBSCRIBE_TIMEOUT_MS, `Timed out subscribing over ${endpoint.label}`);
+    return {
+      client,
+      unwatch: () => subscriptions.forEach(({ unsubscribe }) => unsubscribe().catch(() => {}))
+    };
+  } catch (err) {
+    closeWatchClient(client);
+    throw err;
+  }
+}
 
-          // Award exactly required upvotes for this tx
-          const awardHash = await addUpvotesToDispenser(user, REQUIRED_UPVOTES);
-          if (awardHash) {
-            console.log(`[DISPENSER] NFT awarded to ${user}! Transaction: https://basescan.org/tx/${awardHash}`);
-            logInfo('award_success', {
-              user,
-              amount: REQUIRED_UPVOTES.toString(),
-              sourceTx: log.transactionHash,
-              dispenserTx: awardHash,
-              sourceBasescan: `https://basescan.org/tx/${log.transactionHash}`,
-              dispenserBasescan: `https://basescan.org/tx/${awardHash}`
-            });
-            logDispenserAction('nft_awarded', {
-              user,
-              amount: REQUIRED_UPVOTES.toString(),
-              sourceTx: log.transactionHash,
-              dispenserTx: awardHash,
-              sourceBasescan: `https://basescan.org/tx/${log.transactionHash}`,
-              dispenserBasescan: `https://basescan.org/tx/${awardHash}`,
-              inventoryBefore: queuedNFTCount.toString()
-            });
-          } else {
-            console.log(`[DISPENSER] Failed to award NFT to ${user}. Check logs for details.`);
-            logWarning('award_failed', {
-              user,
-              amount: REQUIRED_UPVOTES.toString(),
-              sourceTx: log.transactionHash
-            });
-            logDispenserAction('award_failed', {
-              user,
-              amount: REQUIRED_UPVOTES.toString(),
-              sourceTx: log.transactionHash,
-              sourceBasescan: `https://basescan.org/tx/${log.transactionHash}`,
-              error: 'Transaction failed'
-            });
-          }
+// HTTP mode polls getLogs itself rather than through an eth_newFilter,
+// which dies silently when the fallback transport switches endpoints
+// Runs behind the logs already queued, so lastProcessedBlock (and with it
+// block_lag and the next startup backfill) follows the scanned range even
+// when no upvotes happen. A restarted watcher's stale ranges are ignored.
+function markBlocksScanned(generation, blockNumber) {
+  enqueueTask(async () => {
+    if (generation === watcher.generation && blockNumber > lastProcessedBlock) {
+      lastProcessedBlock = blockNumber;
+    }
+  }, 'watcher');
+}
 
-          // Track last processed block
-          if (log.blockNumber && BigInt(log.blockNumber) > lastProcessedBlock) {
-            lastProcessedBlock = BigInt(log.blockNumber);
-          }
-        }
+function pollUpvotes(generation, fromBlock, onError) {
+  let nextBlock = fromBlock;
+  const poll = async () => {
+    if (generation !== watcher.generation) return;
+    try {
+      const head = await publicClient.getBlockNumber();
+      if (head >= nextBlock) {
+        const toBlock = nextBlock + BACKFILL_CHUNK_SIZE - 1n < head ? nextBlock + BACKFILL_CHUNK_SIZE - 1n : head;
+        const logs = await publicClient.getLogs({
+          address: global.NORMALIZED_UPVOTE_APP_ADDRESS,
+          event: UPVOTE_APP_ABI[0],
+          fromBlock: nextBlock,
+          toBlock
+        });
+        if (generation !== watcher.generation) return;
+        if (logs.length > 0) enqueueLogs(logs, 'watcher');
+        markBlocksScanned(generation, toBlock);
+        noteWatcherProgress(toBlock);
+        nextBlock = toBlock + 1n;
       }
+      health.watcherError = null;
+    } catch (err) {
+      onError(err);
+    }
+    if (generation === watcher.generation) {
+      watcher.pollTimer = setTimeout(poll, WATCH_POLL_MS);
+    }
+  };
+  poll();
+  return () => clearTimeout(watcher.pollTimer);
+}
+
+async function startWatcher() {
+  const generation = ++watcher.generation;
+  watcher.syncedBlock = null;
+
+  // Live logs are held back until the backfill has drained so awards stay
+  // in block order; overlap between the two is deduped by processedLogIds
+  let liveBuffer = [];
+  const onLogs = (logs) => {
+    if (generation !== watcher.generation) return;
+    health.watcherError = null;
+    if (liveBuffer) {
+      liveBuffer.push(...logs);
+      return;
+    }
+    enqueueLogs(logs, 'watcher');
+  };
+  // A new head means the socket has delivered the logs of the blocks before it
+  const onHead = (blockNumber) => {
+    if (generation !== watcher.generation) return;
+    noteWatcherProgress(blockNumber);
+    if (!liveBuffer) markBlocksScanned(generation, blockNumber - 1n);
+  };
+  const onError = (err) => {
+    if (generation !== watcher.generation) return;
+    const endpoint = watcher.endpoint;
+    console.error(`[WATCH_ERROR] Upvoted watcher failed (${describeWatcher()}):`, err.message);
+    health.watcherError = { message: err.shortMessage || err.message, at: Date.now() };
+    logError('watch_error', err, {
+      upvoteAppAddress: global.NORMALIZED_UPVOTE_APP_ADDRESS,
+      transport: describeWatcher()
     });
 
-    console.log('Started watching Upvoted events');
-    console.log('[BOT] Net Protocol Upvote Bot is now running!');
-    console.log('[BOT] Watching for', REQUIRED_UPVOTES.toString(), 'upvotes on tracked token');
-    console.log('[BOT] Dispenser address:', global.NORMALIZED_DISPENSER_ADDRESS);
-    console.log('[BOT] PM2 monitoring: pm2 logs net-protocol-upvote-bot');
-    return unwatch;
+    // A dropped socket loses events until we resubscribe and backfill;
+    // failed polls are retried on the next one
+    if (endpoint) {
+      markWsFailure(endpoint, err);
+      restartWatcher('websocket_error');
+    }
+  };
+
+  let endpoint;
+  while ((endpoint = pickWsEndpoint())) {
+    try {
+      const { client, unwatch } = await subscribeWebSocket(endpoint, onLogs, onHead, onError);
+      Object.assign(watcher, { client, unwatch, endpoint });
+      break;
+    } catch (err) {
+      markWsFailure(endpoint, err);
+      console.error(`[WATCH_ERROR] Could not subscribe over WebSocket ${endpoint.label}:`, err.message);
+      logWarning('websocket_subscribe_failed', { endpoint: endpoint.label, error: err.shortMessage || err.message });
+    }
+  }
+  if (!endpoint) {
+    Object.assign(watcher, { client: publicClient, unwatch: null, endpoint: null });
+  }
+  health.watcherRunning = true;
+  health.watcherError = null;
+
+  const head = await publicClient.getBlockNumber();
+  try {
+    if (lastProcessedBlock > 0n) {
+      health.syncing = { fromBlock: lastProcessedBlock.toString(), toBlock: head.toString() };
+      await backfillUpvotes(lastProcessedBlock, head);
+    } else {
+      // Nothing to catch up on yet, but a later resubscribe needs a start point
+      console.log(`[BACKFILL] No last processed block saved, starting from block ${head.toString()}`);
+      lastProcessedBlock = head;
+      saveState();
+    }
   } catch (err) {
-    console.error('[WATCH_ERROR] Failed to set up event watcher:', err.message);
-    logError('watch_setup_error', err, {
-      upvoteAppAddress: global.NORMALIZED_UPVOTE_APP_ADDRESS,
-      trackedTokenAddress: global.NORMALIZED_TRACKED_TOKEN_ADDRESS
+    health.syncing = null;
+    console.error('[BACKFILL_ERROR] Failed to backfill missed upvotes:', err.message);
+    health.watcherError = { message: err.shortMessage || err.message, at: Date.now() };
+    logError('backfill_error', err, {
+      lastProcessedBlock: lastProcessedBlock.toString()
     });
-    return null;
+    // No handoff while the gap is open: a live log would move
+    // lastProcessedBlock past it. Live logs stay buffered until the restart
+    // drops this watcher, and its backfill covers them again.
+    setTimeout(() => restartWatcher('backfill_failed'), POLL_MS);
+    return;
+  }
+  health.syncing = null;
+  if (shuttingDown) return;
+  noteWatcherProgress(head);
+
+  if (!endpoint) {
+    watcher.unwatch = pollUpvotes(generation, head + 1n, onError);
+  }
+  const buffered = liveBuffer;
+  liveBuffer = null;
+  if (buffered.length > 0) {
+    enqueueLogs(buffered, 'watcher');
   }
+  console.log(`[WATCH] Watching Upvoted events over ${describeWatcher()}`);
 }
 
-// Removed batching logic: awards are per single tx with exactly 420 upvotes
+async function stopWatcher() {
+  const { unwatch, client, endpoint } = watcher;
+  watcher.generation++;
+  Object.assign(watcher, { unwatch: null, client: null, endpoint: null });
+  health.watcherRunning = false;
 
-async function isUpvoteMessage(data) {
   try {
-    // The first 4 bytes of the data will be the function selector for upvote(address,uint256)
-    const upvoteSelector = '0x' + data.slice(2, 10);
-    const expectedSelector = '0x' + encodeAbiParameters(
-      parseAbi(['function upvote(address token, uint256 amount)'])[0],
-      []
-    ).slice(2, 10);
-    
-    return upvoteSelector === expectedSelector;
-  } catch (err) {
-    console.error('Error checking upvote message:', err);
-    return false;
-  }
+    unwatch?.();
+  } catch {}
+  if (endpoint) await closeWatchClient(client);
 }
 
-async function decodeUpvoteData(data) {
+async function restartWatcher(reason) {
+  if (watcher.restarting || shuttingDown) return;
+  watcher.restarting = true;
+  watcher.restarts++;
+  incCounter('watcher_restarts_total', { reason });
+
+  const previous = describeWatcher();
   try {
-    // The upvote function selector is 0x2d4ba917 (upvote(address,uint256))
-    const upvoteSelector = '0x2d4ba917';
-    
-    // Check if this is an upvote call
-    if (!data.startsWith(upvoteSelector)) {
-      console.log(`[DECODE] Not an upvote call, selector: ${data.slice(0, 10)}`);
-      return null;
-    }
-    
-    // Remove function selector (first 4 bytes)
-    const params = data.slice(10);
-    
-    // First parameter is the token address (32 bytes, padded)
-    const token = '0x' + params.slice(24, 64); // Take last 20 bytes of the 32 byte field
-    
-    // Second parameter is the amount (32 bytes)
-    const amount = BigInt('0x' + params.slice(64, 96));
-    
-    console.log(`[DECODE] Decoded upvote: token=${token}, amount=${amount}`);
-    
-    return { token, amount };
+    await stopWatcher();
+    console.log(`[WATCH] Resubscribing (${reason}), was ${previous}`);
+    await startWatcher();
+    logWarning('watcher_restarted', { reason, from: previous, to: describeWatcher() });
   } catch (err) {
-    console.error('Error decoding upvote data:', err);
-    return null;
+    console.error('[WATCH_ERROR] Failed to restart the Upvoted watcher:', err.message);
+    health.watcherError = { message: err.shortMessage || err.message, at: Date.now() };
+    logError('watcher_restart_error', err, { reason });
+    setTimeout(() => restartWatcher('restart_failed'), POLL_MS);
+  } finally {
+    watcher.restarting = false;
+  }
+}
+
+// ---------------------- WATCHDOG ----------------------
+// A subscription can go quiet without an error (an expired filter, a
+// half-open socket) while the heartbeat keeps printing. Each tick compares
+// the watcher's newest block with the chain head; too far behind, or no
+// progress for WATCHER_STALL_MS while the chain moved on, counts as a stall
+// and the watcher is rebuilt, which also backfills the gap.
+function getWatcherLag() {
+  if (health.chainHead === null || watcher.syncedBlock === null) return null;
+  return health.chainHead > watcher.syncedBlock ? health.chainHead - watcher.syncedBlock : 0n;
+}
+
+function checkWatcher() {
+  const lag = getWatcherLag();
+  if (lag === null || watcher.restarting || !health.watcherRunning) return;
+  setGauge('watcher_lag_blocks', {}, lag);
+
+  const idleMs = Date.now() - watcher.lastProgressAt;
+  if (lag <= WATCHER_MAX_LAG_BLOCKS && (lag === 0n || idleMs < WATCHER_STALL_MS)) return;
+
+  const stall = {
+    at: Date.now(),
+    transport: describeWatcher(),
+    syncedBlock: watcher.syncedBlock.toString(),
+    chainHead: health.chainHead.toString(),
+    lagBlocks: lag.toString(),
+    idleMs
+  };
+  health.watcherStalls++;
+  health.lastWatcherStall = stall;
+  if (watcher.endpoint) {
+    markWsFailure(watcher.endpoint, new Error(`Stalled ${lag.toString()} blocks behind`));
   }
+
+  console.log(`[WATCHDOG] Upvoted watcher stalled at block ${stall.syncedBlock}, ${stall.lagBlocks} blocks behind head ${stall.chainHead} (${Math.round(idleMs / 1000)}s without progress over ${stall.transport})`);
+  logWarning('watcher_stalled', stall);
+  restartWatcher('stalled');
 }
 
-async function decodeUpvoteFromText(text) {
+// Watch Upvoted events directly from the Upvote App
+async function watchUpvotes() {
   try {
-    // Try to parse JSON from the text field
-    const parsed = JSON.parse(text);
-    
-    // Look for upvote-related fields
-    if (parsed.token && parsed.amount) {
-      console.log(`[DECODE_TEXT] Found upvote data: token=${parsed.token}, amount=${parsed.amount}`);
-      return {
-        token: parsed.token,
-        amount: BigInt(parsed.amount)
-      };
+    await startWatcher();
+
+    console.log('Started watching Upvoted events');
+    console.log('[BOT] Net Protocol Upvote Bot is now running!');
+    for (const campaign of campaigns) {
+      console.log(`[BOT] Campaign ${campaign.id}: watching for ${campaign.requiredUpvotes.toString()} upvotes (${describeRule(campaign.rule)}) on ${campaign.trackedTokenAddress}, dispenser ${campaign.dispenserAddress}`);
+      console.log(`[BOT] Campaign ${campaign.id} award policy: ${describePolicy(campaign.policy)}`);
     }
-    
-    // Try alternative field names
-    if (parsed.upvotes && parsed.token) {
-      console.log(`[DECODE_TEXT] Found upvote data: token=${parsed.token}, amount=${parsed.upvotes}`);
-      return {
-        token: parsed.token,
-        amount: BigInt(parsed.upvotes)
-      };
+    console.log('[BOT] Awarding after', CONFIRMATIONS.toString(), 'confirmations');
+    if (DRY_RUN) {
+      console.log('[BOT] DRY RUN: awards are simulated and logged as dry_run_award, no transactions are sent');
     }
-    
-    console.log(`[DECODE_TEXT] No upvote data found in text: ${text}`);
-    return null;
+    console.log('[BOT] PM2 monitoring: pm2 logs net-protocol-upvote-bot');
+    return stopWatcher;
   } catch (err) {
-    console.log(`[DECODE_TEXT] Failed to parse text as JSON: ${text}`);
+    console.error('[WATCH_ERROR] Failed to set up event watcher:', err.message);
+    logError('watch_setup_error', err, {
+      upvoteAppAddress: global.NORMALIZED_UPVOTE_APP_ADDRESS,
+      campaigns: campaigns.map(campaign => campaign.id)
+    });
     return null;
   }
 }
 
-async function addUpvotesToDispenser(user, amount) {
+async function addUpvotesToDispenser(campaign, user, amount, fees, awardTag) {
   try {
-    // Use base gas price without any increase for maximum cost efficiency
-    const gasPrice = await publicClient.getGasPrice();
+    const { maxFeePerGas, maxPriorityFeePerGas } = fees;
 
     const { request } = await publicClient.simulateContract({
-      address: global.NORMALIZED_DISPENSER_ADDRESS,
+      address: campaign.dispenserAddress,
       abi: DISPENSER_ABI,
       functionName: 'addUpvotes',
       args: [user, amount],
       account,
-      gasPrice: gasPrice
+      dataSuffix: awardTag,
+      maxFeePerGas,
+      maxPriorityFeePerGas
     });
 
-    const hash = await walletClient.writeContract(request);
+    // Only take a nonce once the call is known to succeed, so a failed
+    // simulation never leaves a gap
+    const nonce = await allocateNonce();
+    let hash;
+    try {
+      hash = await walletClient.writeContract({ ...request, nonce });
+    } catch (err) {
+      await syncNonce('send_failed').catch(() => {});
+      throw err;
+    }
     
     logInfo('dispenser_call', {
+      campaign: campaign.id,
       hash,
       user,
-      amount: amount.toString()
+      amount: amount.toString(),
+      nonce: nonce.toString()
     });
 
-    console.log(`[DISPENSER] Called addUpvotes for ${user} with ${amount} votes. Hash: ${hash}`);
+    console.log(`[DISPENSER] Called addUpvotes for ${user} with ${amount} votes. Nonce: ${nonce}, Hash: ${hash}`);
     
-    return hash;
+    return { hash, nonce };
   } catch (err) {
     console.error('[DISPENSER_ERROR] Failed to call addUpvotes:', err.message);
     logError('dispenser_call_error', err, {
+      campaign: campaign.id,
       user,
       amount: amount.toString(),
-      dispenserAddress: global.NORMALIZED_DISPENSER_ADDRESS
-    });
-    return null;
-  }
-}
-
-async function processMessage(message, index) {
-  if (!message) return;
-  
-  const { from, to, value, data } = message;
-  
-      // Log the message for debugging
-    logInfo('message_processed', {
-      index,
-      from,
-      to,
-      value: value.toString(),
-      data
+      dispenserAddress: campaign.dispenserAddress
     });
-
-  // Check if this is an upvote message
-  if (await isUpvoteMessage(data)) {
-    const upvoteData = await decodeUpvoteData(data);
-    
-    if (upvoteData && upvoteData.token.toLowerCase() === PURR_TOKEN_ADDRESS.toLowerCase()) {
-      console.log(`[UPVOTE] Found upvote for $PURR from ${from}, amount: ${upvoteData.amount}`);
-      
-      // Log the upvote
-      logInfo('purr_upvote', {
-        index,
-        from,
-        amount: upvoteData.amount.toString()
-      });
-      
-      // Call the dispenser contract
-      const hash = await addUpvotesToDispenser(from, upvoteData.amount);
-      
-      if (!hash) {
-        console.error(`Failed to add upvotes for ${from}`);
-      }
-    }
+    throw err;
   }
 }
 
-async function checkUserUpvotes(userAddress) {
+async function checkUserUpvotes(campaign, userAddress, blockNumber) {
   try {
     const upvotes = await publicClient.readContract({
-      address: global.NORMALIZED_DISPENSER_ADDRESS,
+      address: campaign.dispenserAddress,
       abi: DISPENSER_ABI,
       functionName: 'userUpvotes',
-      args: [userAddress]
+      args: [userAddress],
+      blockNumber
     });
     return upvotes;
   } catch (err) {
-    console.error('Error checking user upvotes:', err);
-    return BigInt(0);
+    console.error('Error checking user upvotes:', err.message);
+    logError('user_upvotes_error', err, { campaign: campaign.id, user: userAddress });
+    return null;
+  }
+}
+
+// Commit everything that changed since the last save as one journal entry
+function saveState() {
+  const ops = [];
+  for (const [name, collection] of Object.entries(getStateCollections())) {
+    ops.push(...collection.takeChanges(name));
+  }
+  const meta = getStateMeta();
+  for (const key of ['tip', 'lastProcessedBlock']) {
+    if (meta[key] !== stateStore.savedMeta[key]) ops.push(['meta', key, meta[key]]);
+  }
+  if (ops.length === 0) return;
+
+  stateStore.seq++;
+  fs.writeSync(stateStore.journalFd, JSON.stringify({ seq: stateStore.seq, ops }) + '\n');
+  fs.fsyncSync(stateStore.journalFd);
+  stateStore.savedMeta = meta;
+
+  if (++stateStore.commitsSinceSnapshot >= STATE_COMPACT_EVERY) {
+    compactState();
   }
 }
 
@@ -569,37 +3718,51 @@ const HEARTBEAT_INTERVAL = 10; // Log heartbeat every 10 ticks (2.5 minutes)
 
 async function tick() {
   try {
-    const { upvotesRequired, queuedNFTCount } = await getConfig();
+    const summaries = [];
+    for (const campaign of campaigns) {
+      const { upvotesRequired, queuedNFTCount, lastUpdated } = await getConfig(campaign);
+
+      // lastUpdated is 0 for the fallback config used when the read failed
+      const forecast = lastUpdated ? checkInventory(campaign, queuedNFTCount) : null;
+      const remaining = forecast?.hoursToDepletion != null ? `, ~${forecast.hoursToDepletion}h left` : '';
+      const held = campaign.drift.length > 0 ? ', awards held' : '';
+      summaries.push(`${campaign.id} (Required: ${upvotesRequired ?? 'unknown'}, NFTs: ${queuedNFTCount}${remaining}${held})`);
+      if (forecast && heartbeatCount % HEARTBEAT_INTERVAL === HEARTBEAT_INTERVAL - 1) {
+        logInfo('inventory_forecast', { campaign: campaign.id, ...forecast });
+      }
+    }
     const currentTip = await getCurrentTip();
+    lastTip = currentTip;
 
-    // Persist state (cap processed log ids to last 500 for file size)
-    const processed = Array.from(processedLogIds);
-    const trimmed = processed.slice(Math.max(0, processed.length - 500));
-    const state = {
-      lastProcessed: currentTip.toString(),
-      tip: currentTip.toString(),
-      lastProcessedBlock: lastProcessedBlock.toString(),
-      processed: trimmed
-    };
-    fs.writeFileSync('net_state.json', JSON.stringify(state, null, 2));
+    await refreshWalletFunding();
+    health.chainHead = await publicClient.getBlockNumber();
+    health.lastRpcSuccessAt = Date.now();
+    health.lastRpcError = null;
+
+    checkWatcher();
+    reloadWalletLists();
+    pruneSeenLogIds();
+
+    // Polling over HTTP only until a failed WebSocket endpoint is due a retry
+    if (!watcher.endpoint && !watcher.restarting && health.watcherRunning && pickWsEndpoint()) {
+      restartWatcher('websocket_retry');
+    }
+
+    saveState();
 
     // Increment heartbeat counter
     heartbeatCount++;
     
     // Log heartbeat every HEARTBEAT_INTERVAL ticks (less frequent)
     if (heartbeatCount % HEARTBEAT_INTERVAL === 0) {
-      console.log(`[HEARTBEAT] Bot healthy - Required: ${upvotesRequired.toString()}, NFTs: ${queuedNFTCount}, Tip: ${currentTip.toString()}, Block: ${lastProcessedBlock.toString()}, Processed: ${processedLogIds.size}`);
-    }
-    
-    // Log threshold changes (always log these)
-    if (configCache.data && configCache.data.upvotesRequired !== upvotesRequired.toString()) {
-      console.log(`[CONFIG] Upvotes required changed to: ${upvotesRequired.toString()}`);
-      logDispenserAction('threshold_changed', {
-        oldValue: configCache.data.upvotesRequired,
-        newValue: upvotesRequired.toString()
-      });
+      const paused = operatorControls.has('pause') ? ', Paused: by operator'
+        : budgetPause ? `, Paused: ${budgetPause.budget} budget`
+        : wallet.state === 'empty' ? ', Paused: wallet empty' : '';
+      const funds = wallet.awardsLeft !== null && !DRY_RUN ? `, Wallet: ~${wallet.awardsLeft} awards` : '';
+      console.log(`[HEARTBEAT] Bot healthy - Campaigns: ${summaries.join(', ')}, Tip: ${currentTip.toString()}, Block: ${lastProcessedBlock.toString()}, Processed: ${processedLogIds.size}, Pending: ${pendingEvents.size}, Outbox: ${countOutbox('pending') + countOutbox('submitted')}, Parked: ${countOutbox('failed')}${funds}${paused}`);
     }
   } catch (err) {
+    health.lastRpcError = { message: err.shortMessage || err.message, at: Date.now() };
     console.error('[TICK_ERROR] Failed to update bot state:', err.message);
     logError('tick_error', err, {
       heartbeatCount: heartbeatCount.toString(),
@@ -668,6 +3831,15 @@ function logInfo(type, data) {
 }
 
 function logError(type, error, data = {}) {
+  health.recentErrors.push({
+    timestamp: new Date().toISOString(),
+    type,
+    error: error.message
+  });
+  if (health.recentErrors.length > RECENT_ERRORS_LIMIT) {
+    health.recentErrors.shift();
+  }
+
   logToFile({
     type,
     level: 'error',
@@ -681,6 +3853,428 @@ function logWarning(type, data) {
   logToFile({ type, level: 'warn', ...data });
 }
 
+// ---------------------- OPERATOR CONTROL ----------------------
+// Authenticated commands on the health server, enabled by CONTROL_TOKEN and
+// sent as POST with `Authorization: Bearer <token>`:
+//   /control/pause             - stop sending awards (optional body { note })
+//   /control/resume            - start sending them again
+//   /control/reload            - re-read the campaigns, webhooks and wallet lists
+//   /control/retry-failed      - move parked awards back to pending (optional body { ids })
+//   /control/refresh-inventory - re-read every dispenser's queued NFTs
+// A pause only holds new award txs: upvotes are still watched, confirmed and
+// queued, and awards in flight still get receipts and fee bumps. It is kept
+// in the state store so a restart doesn't lift it.
+const CONTROL_BODY_LIMIT = 16 * 1024;
+
+class ControlError extends Error {
+  constructor(statusCode, message) {
+    super(message);
+    this.statusCode = statusCode;
+  }
+}
+
+function getOperatorPause() {
+  const pause = operatorControls.get('pause');
+  return pause ? { pausedAt: new Date(pause.pausedAt).toISOString(), note: pause.note } : null;
+}
+
+function pauseAwards({ note } = {}) {
+  if (operatorControls.has('pause')) {
+    return { changed: false, pause: getOperatorPause() };
+  }
+  operatorControls.set('pause', { pausedAt: Date.now(), note: note ? String(note) : null });
+  saveState();
+  setGauge('awards_paused', { reason: 'operator' }, 1);
+
+  const held = countOutbox('pending');
+  console.log(`[CONTROL] Awards paused by operator${note ? ` (${note})` : ''}. Upvotes are still queued (${held} pending)`);
+  logWarning('operator_paused', { note: note ?? null, held });
+  for (const campaign of campaigns) {
+    logDispenserAction('operator_paused', { note: note ?? null, held }, campaign);
+  }
+  return { changed: true, pause: getOperatorPause() };
+}
+
+function resumeAwards() {
+  if (!operatorControls.has('pause')) {
+    return { changed: false };
+  }
+  const pause = getOperatorPause();
+  operatorControls.delete('pause');
+  saveState();
+  setGauge('awards_paused', { reason: 'operator' }, 0);
+
+  const held = countOutbox('pending');
+  console.log(`[CONTROL] Awards resumed by operator, ${held} queued award(s) will go out`);
+  logInfo('operator_resumed', { pausedAt: pause.pausedAt, held });
+  for (const campaign of campaigns) {
+    logDispenserAction('operator_resumed', { pausedAt: pause.pausedAt, held }, campaign);
+  }
+  return { changed: true, held };
+}
+
+// Reads every dispenser now instead of waiting for the config cache to expire
+async function refreshDispensers() {
+  const results = [];
+  for (const campaign of campaigns) {
+    campaign.configCache.timestamp = 0;
+    const config = await getConfig(campaign);
+    const refreshed = campaign.configCache.timestamp !== 0;
+    if (refreshed) checkInventory(campaign, config.queuedNFTCount);
+    results.push({
+      campaign: campaign.id,
+      refreshed,
+      inventory: config.queuedNFTCount,
+      upvotesRequired: config.upvotesRequired,
+      drift: campaign.drift
+    });
+  }
+  return results;
+}
+
+// Fields that make two loads of a campaign or webhook the same definition
+function describeDefinition(value, fields) {
+  return JSON.stringify(fields.map(field => value[field]), (key, v) => (typeof v === 'bigint' ? v.toString() : v));
+}
+const CAMPAIGN_FIELDS = ['trackedTokenAddress', 'dispenserAddress', 'nftContractAddress', 'requiredUpvotes', 'rule', 'policy', 'lowWaterMarks', 'logFile'];
+const WEBHOOK_FIELDS = ['url', 'format', 'events', 'campaigns', 'templates', 'headers'];
+
+function diffDefinitions(previous, next, fields) {
+  const before = new Map(previous.map(item => [item.id, item]));
+  const after = new Set(next.map(item => item.id));
+  return {
+    added: next.filter(item => !before.has(item.id)).map(item => item.id),
+    removed: previous.filter(item => !after.has(item.id)).map(item => item.id),
+    updated: next
+      .filter(item => before.has(item.id) && describeDefinition(before.get(item.id), fields) !== describeDefinition(item, fields))
+      .map(item => item.id)
+  };
+}
+
+// Re-reads CAMPAIGNS_FILE, WEBHOOKS_FILE and the wallet lists. Everything is
+// loaded and validated before anything changes, so one bad definition rejects
+// the whole reload and the running config stays in force. Env vars are still
+// only read at startup.
+async function reloadConfig() {
+  const lists = new Map();
+  let nextWebhooks;
+  let nextCampaigns;
+  try {
+    nextWebhooks = loadWebhooks();
+    nextCampaigns = loadCampaigns(lists);
+  } catch (err) {
+    console.error(`[CONTROL] Reload rejected, keeping the running config: ${err.message}`);
+    logWarning('config_reload_rejected', { error: err.message, details: err.details });
+    throw new ControlError(400, `Reload rejected, the running config is unchanged: ${err.message}`);
+  }
+
+  // A campaign keeps its cached dispenser reads, alerts and due claims while
+  // it still points at the same dispenser
+  const previous = new Map(campaigns.map(campaign => [campaign.id, campaign]));
+  for (const campaign of nextCampaigns) {
+    const current = previous.get(campaign.id);
+    if (!current || current.dispenserAddress !== campaign.dispenserAddress) continue;
+    campaign.configCache = current.configCache;
+    campaign.drift = current.drift;
+    campaign.inventoryAlert = current.inventoryAlert;
+    campaign.claimsDue = current.claimsDue;
+  }
+
+  // Swapped between queued tasks so no award pass sees part of each config
+  let changes;
+  await enqueueTask(() => {
+    changes = {
+      campaigns: diffDefinitions(campaigns, nextCampaigns, CAMPAIGN_FIELDS),
+      webhooks: diffDefinitions(webhooks, nextWebhooks, WEBHOOK_FIELDS)
+    };
+    campaigns = nextCampaigns;
+    webhooks = nextWebhooks;
+    walletLists.clear();
+    for (const [file, list] of lists) walletLists.set(file, list);
+  }, 'reload');
+
+  const summary = kind => ['added', 'removed', 'updated']
+    .map(change => `${changes[kind][change].length} ${change}`)
+    .join(', ');
+  console.log(`[CONTROL] Reloaded config: campaigns ${summary('campaigns')}; webhooks ${summary('webhooks')}; ${walletLists.size} wallet list(s)`);
+  logInfo('config_reloaded', { ...changes, walletLists: walletLists.size });
+  for (const id of changes.campaigns.removed) {
+    const held = Array.from(awardOutbox.values()).filter(entry => entry.campaignId === id && entry.status !== 'confirmed').length;
+    if (held > 0) {
+      console.log(`[CONFIG] Campaign ${id} was removed with ${held} unfinished award(s), they will not be processed unless it is added back`);
+      logWarning('orphaned_award', { campaign: id, held });
+    }
+  }
+
+  const dispensers = await refreshDispensers();
+  return {
+    ...changes,
+    walletLists: Array.from(walletLists, ([file, list]) => ({ file, addresses: list.addresses.size })),
+    dispensers
+  };
+}
+
+// Parked awards start over with fresh attempts. The duplicate check before
+// sending still catches any that landed after all.
+function retryFailedAwards({ ids } = {}) {
+  if (ids !== undefined && !Array.isArray(ids)) {
+    throw new ControlError(400, 'ids must be an array of award outbox ids');
+  }
+  const failed = Array.from(awardOutbox.values())
+    .filter(entry => entry.status === 'failed' && getCampaign(entry.campaignId));
+  const entries = ids ? failed.filter(entry => ids.includes(entry.id)) : failed;
+  const unknown = ids ? ids.filter(id => !entries.some(entry => entry.id === id)) : [];
+  if (unknown.length > 0) {
+    throw new ControlError(404, `Not parked awards: ${unknown.join(', ')}`);
+  }
+
+  for (const entry of entries) {
+    const previousError = entry.lastError;
+    updateOutboxEntry(entry, { status: 'pending', attempts: 0, nextAttemptAt: Date.now(), feeCapAlerted: false });
+    logDispenserAction('award_requeued', {
+      user: entry.user,
+      amount: entry.amount,
+      sourceTx: entry.sourceTx,
+      sourceBasescan: `https://basescan.org/tx/${entry.sourceTx}`,
+      previousError,
+      note: 'Parked award sent back to the outbox by an operator'
+    }, getCampaign(entry.campaignId));
+  }
+  console.log(`[CONTROL] Requeued ${entries.length} parked award(s)`);
+  return { requeued: entries.map(entry => entry.id) };
+}
+
+const CONTROL_COMMANDS = {
+  pause: pauseAwards,
+  resume: resumeAwards,
+  reload: reloadConfig,
+  'retry-failed': retryFailedAwards,
+  'refresh-inventory': async () => ({ dispensers: await refreshDispensers() })
+};
+
+// Hashing first gives timingSafeEqual equal lengths
+function isControlAuthorized(req) {
+  const [scheme, token] = (req.headers.authorization || '').split(' ');
+  if (scheme !== 'Bearer' || !token) return false;
+  const digest = value => crypto.createHash('sha256').update(value).digest();
+  return crypto.timingSafeEqual(digest(token), digest(CONTROL_TOKEN));
+}
+
+async function readJsonBody(req) {
+  let body = '';
+  for await (const chunk of req) {
+    body += chunk;
+    if (body.length > CONTROL_BODY_LIMIT) throw new ControlError(413, 'Request body too large');
+  }
+  if (!body.trim()) return {};
+  try {
+    return JSON.parse(body);
+  } catch {
+    throw new ControlError(400, 'Request body must be JSON');
+  }
+}
+
+async function handleControlRequest(req, res, command) {
+  try {
+    if (!CONTROL_TOKEN) {
+      throw new ControlError(404, 'Control interface is disabled, set CONTROL_TOKEN to enable it');
+    }
+    if (!isControlAuthorized(req)) {
+      logWarning('control_unauthorized', { command, remoteAddress: req.socket.remoteAddress });
+      throw new ControlError(401, 'Unauthorized');
+    }
+    if (req.method !== 'POST') {
+      throw new ControlError(405, 'Method not allowed');
+    }
+    const handler = CONTROL_COMMANDS[command];
+    if (!handler) {
+      throw new ControlError(404, `Unknown command '${command}'`);
+    }
+
+    const body = await readJsonBody(req);
+    logInfo('control_command', { command, body, remoteAddress: req.socket.remoteAddress });
+    sendJson(res, 200, { ok: true, command, ...await handler(body) });
+  } catch (err) {
+    if (!(err instanceof ControlError)) {
+      console.error(`[CONTROL_ERROR] ${command} failed:`, err.message);
+      logError('control_error', err, { command });
+    }
+    sendJson(res, err.statusCode || 500, { ok: false, error: err.message });
+  }
+}
+
+// ---------------------- HEALTH SERVER ----------------------
+// Small local HTTP server for load balancers and uptime checks:
+//   /healthz - liveness, 200 while the process is serving requests
+//   /readyz  - readiness, 503 when the watcher, RPC or wallet is unhealthy
+//   /status  - JSON snapshot of config, inventory, progress and errors
+//   /metrics - Prometheus text format (see METRICS)
+//   /control - operator commands when CONTROL_TOKEN is set (see OPERATOR CONTROL)
+function getReadiness() {
+  const now = Date.now();
+  const checks = {
+    watcher: {
+      ok: health.watcherRunning && !health.syncing && !health.watcherError && (getWatcherLag() ?? 0n) <= WATCHER_MAX_LAG_BLOCKS,
+      detail: !health.watcherRunning ? 'not started'
+        : health.syncing ? `syncing blocks ${health.syncing.fromBlock} to ${health.syncing.toBlock}, at ${lastProcessedBlock.toString()}`
+        : health.watcherError?.message || `running, ${getWatcherLag() ?? 'unknown'} blocks behind head`
+    },
+    rpc: {
+      ok: health.lastRpcSuccessAt !== null && now - health.lastRpcSuccessAt < RPC_STALE_MS,
+      detail: health.lastRpcError?.message || (health.lastRpcSuccessAt ? `last success ${Math.round((now - health.lastRpcSuccessAt) / 1000)}s ago` : 'no successful call yet')
+    },
+    wallet: {
+      // A dry run spends nothing, so its wallet may be empty
+      ok: DRY_RUN || (health.walletBalance !== null && health.walletBalance >= MIN_WALLET_BALANCE && wallet.state !== 'empty'),
+      detail: health.walletBalance === null ? 'balance unknown' : `${formatEther(health.walletBalance)} ETH (min ${formatEther(MIN_WALLET_BALANCE)}), ~${wallet.awardsLeft ?? 'unknown'} awards left`
+    }
+  };
+  return { ready: Object.values(checks).every(check => check.ok), checks };
+}
+
+function getStatus() {
+  const outbox = {};
+  for (const status of ['pending', 'submitted', 'confirmed', 'failed', 'duplicate', 'rejected', 'simulated']) {
+    outbox[status] = countOutbox(status);
+  }
+
+  return {
+    uptimeSeconds: Math.round((Date.now() - health.startedAt) / 1000),
+    syncing: health.syncing,
+    ...getReadiness(),
+    account: account.address,
+    walletBalanceEth: health.walletBalance === null ? null : formatEther(health.walletBalance),
+    wallet: getWalletStatus(),
+    config: {
+      upvoteAppAddress: global.NORMALIZED_UPVOTE_APP_ADDRESS,
+      confirmations: CONFIRMATIONS.toString(),
+      pollMs: POLL_MS,
+      maxInFlightAwards: MAX_IN_FLIGHT_AWARDS,
+      maxFeePerGasGwei: formatGwei(MAX_FEE_PER_GAS),
+      priorityFeeGwei: formatGwei(PRIORITY_FEE_PER_GAS),
+      feeCapPolicy: FEE_CAP_POLICY,
+      configDriftPolicy: CONFIG_DRIFT_POLICY,
+      dryRun: DRY_RUN,
+      control: Boolean(CONTROL_TOKEN)
+    },
+    campaigns: campaigns.map(campaign => ({
+      id: campaign.id,
+      trackedToken: campaign.trackedTokenAddress,
+      dispenser: campaign.dispenserAddress,
+      nftContract: campaign.nftContractAddress,
+      requiredUpvotes: campaign.requiredUpvotes.toString(),
+      rule: describeRule(campaign.rule),
+      policy: {
+        maxAwardsPerWallet: campaign.policy.maxAwardsPerWallet,
+        awardCooldownMs: campaign.policy.cooldownMs,
+        allowlist: campaign.policy.allowlistFile && { file: campaign.policy.allowlistFile, addresses: walletLists.get(campaign.policy.allowlistFile).addresses.size },
+        denylist: campaign.policy.denylistFile && { file: campaign.policy.denylistFile, addresses: walletLists.get(campaign.policy.denylistFile).addresses.size }
+      },
+      onChainUpvotesRequired: campaign.configCache.data?.upvotesRequired ?? null,
+      drift: campaign.drift,
+      inventory: campaign.configCache.data?.queuedNFTCount ?? null,
+      lowWaterMarks: campaign.lowWaterMarks,
+      inventoryForecast: campaign.configCache.data ? getInventoryForecast(campaign, campaign.configCache.data.queuedNFTCount) : null
+    })),
+    rpc: {
+      endpoints: rpcEndpoints.map(({ label, ok, lastSuccessAt, lastError }) => ({ endpoint: label, ok, lastSuccessAt, lastError })),
+      active: Object.fromEntries(Object.entries(activeRpcEndpoints).map(([name, endpoint]) => [name, endpoint.label]))
+    },
+    watcher: {
+      transport: describeWatcher(),
+      syncedBlock: watcher.syncedBlock?.toString() ?? null,
+      lagBlocks: getWatcherLag()?.toString() ?? null,
+      restarts: watcher.restarts,
+      stalls: health.watcherStalls,
+      lastStall: health.lastWatcherStall,
+      webSocketEndpoints: wsEndpoints.map(({ label, failures, lastFailureAt, lastError }) => ({ endpoint: label, failures, lastFailureAt, lastError }))
+    },
+    lastProcessedBlock: lastProcessedBlock.toString(),
+    processedEvents: processedLogIds.size,
+    awaitingConfirmations: pendingEvents.size,
+    outbox,
+    operatorPause: getOperatorPause(),
+    budgets: getBudgetStatus(),
+    pendingAwards: Array.from(awardOutbox.values())
+      .filter(entry => entry.status === 'pending' || entry.status === 'submitted' || entry.status === 'failed')
+      .map(entry => ({
+        id: entry.id,
+        campaign: entry.campaignId,
+        user: entry.user,
+        amount: entry.amount,
+        status: entry.status,
+        attempts: entry.attempts,
+        lastError: entry.lastError,
+        dispenserTx: entry.dispenserTx
+      })),
+    recentErrors: health.recentErrors
+  };
+}
+
+// Gauges that mirror state owned elsewhere are refreshed on scrape
+function refreshMetricGauges() {
+  setGauge('last_processed_block', {}, lastProcessedBlock);
+  if (health.walletBalance !== null) {
+    setGauge('wallet_balance_eth', {}, formatEther(health.walletBalance));
+  }
+  if (health.chainHead !== null) {
+    setGauge('chain_head_block', {}, health.chainHead);
+    setGauge('block_lag', {}, lastProcessedBlock > 0n && health.chainHead > lastProcessedBlock ? health.chainHead - lastProcessedBlock : 0n);
+  }
+  for (const status of ['pending', 'submitted', 'confirmed', 'failed', 'duplicate', 'rejected', 'simulated']) {
+    setGauge('outbox_entries', { status }, countOutbox(status));
+  }
+}
+
+function sendJson(res, statusCode, body) {
+  res.writeHead(statusCode, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body, null, 2));
+}
+
+function startHealthServer() {
+  const server = http.createServer((req, res) => {
+    const { pathname } = new URL(req.url, 'http://localhost');
+    if (pathname.startsWith('/control/')) {
+      handleControlRequest(req, res, pathname.slice('/control/'.length));
+      return;
+    }
+    try {
+      if (req.method !== 'GET') {
+        sendJson(res, 405, { error: 'Method not allowed' });
+      } else if (pathname === '/healthz') {
+        sendJson(res, 200, { status: health.syncing ? 'syncing' : 'ok', uptimeSeconds: Math.round((Date.now() - health.startedAt) / 1000) });
+      } else if (pathname === '/readyz') {
+        const readiness = getReadiness();
+        sendJson(res, readiness.ready ? 200 : 503, readiness);
+      } else if (pathname === '/status') {
+        sendJson(res, 200, getStatus());
+      } else if (pathname === '/metrics') {
+        refreshMetricGauges();
+        res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4; charset=utf-8' });
+        res.end(renderMetrics());
+      } else {
+        sendJson(res, 404, { error: 'Not found' });
+      }
+    } catch (err) {
+      logError('health_server_error', err, { path: pathname });
+      sendJson(res, 500, { error: err.message });
+    }
+  });
+
+  server.on('error', (err) => {
+    console.error('[HEALTH_ERROR] Health server failed:', err.message);
+    logError('health_server_error', err, { host: HEALTH_HOST, port: HEALTH_PORT });
+  });
+
+  server.listen(HEALTH_PORT, HEALTH_HOST, () => {
+    console.log(`[HEALTH] Serving /healthz, /readyz, /status and /metrics on http://${HEALTH_HOST}:${HEALTH_PORT}`);
+    if (CONTROL_TOKEN) {
+      console.log(`[CONTROL] Operator commands enabled under /control/: ${Object.keys(CONTROL_COMMANDS).join(', ')}`);
+    }
+  });
+  return server;
+}
+
 
 
 // ---------------------- MAIN LOOP ----------------------
@@ -689,7 +4283,54 @@ console.log('[STARTUP] Starting Net Protocol Upvote Bot...');
 // Validate configuration first
 validateConfig();
 
+// An operator pause outlives restarts until it is resumed
+const operatorPause = getOperatorPause();
+setGauge('awards_paused', { reason: 'operator' }, operatorPause ? 1 : 0);
+if (operatorPause) {
+  console.log(`[CONTROL] Awards are paused by an operator since ${operatorPause.pausedAt}${operatorPause.note ? ` (${operatorPause.note})` : ''}. POST /control/resume to send them`);
+}
+
+// Awards queued by a campaign that has since been removed are left alone
+for (const entry of awardOutbox.values()) {
+  if (!getCampaign(entry.campaignId) && entry.status !== 'confirmed') {
+    console.log(`[CONFIG] Award ${entry.id} belongs to unknown campaign ${entry.campaignId} and will not be processed`);
+    logWarning('orphaned_award', { id: entry.id, campaign: entry.campaignId, status: entry.status });
+  }
+}
+
+
+
+// Compare every dispenser with its campaign before anything is awarded
+for (const campaign of campaigns) {
+  await getConfig(campaign);
+}
+
+// Pick up the nonce from chain and settle awards left in flight by the last run
+try {
+  await reconcileNonces();
+} catch (err) {
+  console.error('[NONCE_ERROR] Failed to reconcile nonces with chain:', err.message);
+  logError('nonce_reconcile_error', err, { account: account.address });
+}
+
+// Cleared on shutdown so no new work starts while draining
+const timers = [];
 
+// Nothing new is scheduled once a shutdown has begun
+function schedule(task, ms) {
+  if (!shuttingDown) timers.push(setInterval(task, ms));
+}
+
+// Up before the startup backfill, so a long catch-up reports `syncing`
+// instead of looking dead to the process manager
+if (HEALTH_PORT > 0) {
+  startHealthServer();
+}
+
+// Registered before the startup backfill, which can take a while, so a stop
+// during catch-up still drains and saves
+process.on('SIGINT', () => shutdown('SIGINT'));
+process.on('SIGTERM', () => shutdown('SIGTERM'));
 
 // Start the event watcher for real-time upvotes
 const unwatch = await watchUpvotes();
@@ -702,28 +4343,112 @@ if (!unwatch) {
 }
 
 // Start the polling for config updates
-setInterval(tick, POLL_MS);
+tick();
+schedule(tick, POLL_MS);
+
+// Deliver (and retry) queued webhook notifications
+if (webhooks.length > 0) {
+  processWebhookQueue();
+  schedule(processWebhookQueue, WEBHOOK_RETRY_BASE_MS);
+}
+
+// Award held events once they reach the confirmation depth, then drain the outbox
+schedule(() => enqueueTask(async () => {
+  await confirmPendingEvents();
+  await checkAwardedSources();
+  await flushDueBatches();
+  await claimLedgerBalances();
+  await processOutbox();
+  await reconcileLedger();
+}, 'awards'), POLL_MS);
 
 // Log successful startup
 console.log('[STARTUP_SUCCESS] Bot started successfully and is monitoring for upvotes');
 logInfo('startup_success', {
-  trackedToken: global.NORMALIZED_TRACKED_TOKEN_ADDRESS,
-  requiredUpvotes: REQUIRED_UPVOTES.toString(),
-  dispenserAddress: global.NORMALIZED_DISPENSER_ADDRESS
+  campaigns: campaigns.map(campaign => ({
+    id: campaign.id,
+    trackedToken: campaign.trackedTokenAddress,
+    requiredUpvotes: campaign.requiredUpvotes.toString(),
+    rule: describeRule(campaign.rule),
+    dispenserAddress: campaign.dispenserAddress
+  }))
 });
 
-// Graceful shutdown
-process.on('SIGINT', () => {
-  console.log('\n[SHUTDOWN] Received SIGINT, shutting down gracefully...');
-  logInfo('shutdown', { reason: 'SIGINT', processedEvents: processedLogIds.size.toString() });
-  process.exit(0);
-});
+// Graceful shutdown: stop ingesting, let the running award pass finish,
+// wait up to SHUTDOWN_TIMEOUT_MS for submitted awards to get receipts, then
+// flush state. Pending awards are not sent; they stay in the outbox for the
+// next run. A second signal exits right away.
+async function drainAwards(deadline) {
+  await withTimeout(taskQueue, Math.max(0, deadline - Date.now()), 'Timed out waiting for the running task');
+
+  while (countOutbox('submitted') > 0 && Date.now() < deadline) {
+    // Receipts only: nothing is sent, replaced or cancelled while draining
+    await enqueueTask(checkSubmittedAwards, 'shutdown');
+    if (countOutbox('submitted') === 0) break;
+    await new Promise(resolve => setTimeout(resolve, Math.min(2000, Math.max(0, deadline - Date.now()))));
+  }
+}
+
+async function shutdown(signal) {
+  if (shuttingDown) {
+    console.log(`[SHUTDOWN] Received ${signal} again, exiting without waiting`);
+    process.exit(1);
+  }
+  shuttingDown = true;
+  const startedAt = Date.now();
+  console.log(`\n[SHUTDOWN] Received ${signal}, shutting down gracefully...`);
+
+  timers.forEach(clearInterval);
+  await stopWatcher().catch(() => {});
 
-process.on('SIGTERM', () => {
-  console.log('\n[SHUTDOWN] Received SIGTERM, shutting down gracefully...');
-  logInfo('shutdown', { reason: 'SIGTERM', processedEvents: processedLogIds.size.toString() });
+  const submitted = countOutbox('submitted');
+  if (submitted > 0) {
+    console.log(`[SHUTDOWN] Waiting up to ${Math.round(SHUTDOWN_TIMEOUT_MS / 1000)}s for ${submitted} award(s) in flight`);
+  }
+  const deadline = startedAt + SHUTDOWN_TIMEOUT_MS;
+  try {
+    await drainAwards(deadline);
+    if (webhooks.length > 0 && Date.now() < deadline) {
+      await withTimeout(processWebhookQueue(), deadline - Date.now(), 'Timed out delivering webhooks');
+    }
+  } catch (err) {
+    console.error('[SHUTDOWN] Drain did not finish:', err.message);
+    logError('shutdown_drain_error', err, { signal });
+  }
+  saveState();
+
+  const unconfirmed = Array.from(awardOutbox.values()).filter(entry => entry.status === 'submitted');
+  const summary = {
+    reason: signal,
+    drainMs: (Date.now() - startedAt).toString(),
+    processedEvents: processedLogIds.size.toString(),
+    awaitingConfirmations: pendingEvents.size.toString(),
+    unsentAwards: countOutbox('pending').toString(),
+    unconfirmedAwards: unconfirmed.length.toString(),
+    parkedAwards: countOutbox('failed').toString(),
+    unflushedBatches: Array.from(upvoteLedger.values()).filter(entry => BigInt(entry.batched) > 0n).length.toString(),
+    queuedWebhooks: webhookQueue.size.toString()
+  };
+
+  if (pendingEvents.size + countOutbox('pending') + unconfirmed.length > 0) {
+    console.log(`[SHUTDOWN] Left for the next run: ${summary.awaitingConfirmations} event(s) awaiting confirmations, ${summary.unsentAwards} award(s) not yet sent, ${summary.unconfirmedAwards} award(s) without a receipt`);
+    for (const entry of unconfirmed) {
+      console.log(`[SHUTDOWN]   ${entry.user} in campaign ${entry.campaignId}: ${entry.dispenserTx} (nonce ${entry.nonce})`);
+    }
+    logWarning('shutdown_unfinished', {
+      ...summary,
+      unconfirmed: unconfirmed.map(entry => ({ id: entry.id, user: entry.user, dispenserTx: entry.dispenserTx, nonce: entry.nonce }))
+    });
+  }
+  console.log(`[SHUTDOWN] State saved after ${summary.drainMs}ms, exiting`);
+  logInfo('shutdown', summary);
+
+  fs.closeSync(stateStore.journalFd);
   process.exit(0);
-});
+}
+
+// Re-read the allow and deny lists on demand
+process.on('SIGHUP', () => reloadWalletLists(true));
 
 // Handle uncaught exceptions
 process.on('uncaughtException', (err) => {